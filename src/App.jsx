@@ -1,9 +1,24 @@
-import { useState, useCallback, useEffect, useRef } from 'react'
-import { jsPDF } from 'jspdf'
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react'
 import { Sidebar } from './components/Sidebar'
 import { CanvasEditor } from './components/CanvasEditor'
 import { PropertiesPanel } from './components/PropertiesPanel'
-import { Undo2, Redo2, Download, Trash2, Lock, Unlock, Upload, Sun, Moon, HelpCircle } from 'lucide-react'
+import { Modal } from './components/Modal'
+import { ProjectManager } from './components/ProjectManager'
+import { TemplateGallery } from './components/TemplateGallery'
+import { ProblemsPanel } from './components/ProblemsPanel'
+import { PdfExportDialog } from './components/PdfExportDialog'
+import { ProjectDetailsDialog } from './components/ProjectDetailsDialog'
+import { loadAutosave, saveAutosave, clearAutosave } from './utils/autosave'
+import { createProjectFile, parseProjectFile, readProject, downloadProjectFile, ProjectFileError, PROJECT_FILE_EXTENSION } from './utils/projectFile'
+import { saveProject, updateProject, createThumbnail } from './utils/projectStore'
+import { createShareUrl, hasSharedPlan, readSharedPlan, clearSharedPlanHash, ShareLinkError } from './utils/shareLink'
+import { placeHostedOpenings, isRoomItem, isOpeningItem, attachOpening, getCollisions, getClearanceZoneConflicts } from './utils/geometry'
+import { checkLayout, loadLayoutRules } from './utils/layoutRules'
+import { createPlanPdf, DEFAULT_PDF_OPTIONS } from './utils/pdfExport'
+import { createPlanSvg, downloadPlanSvg } from './utils/svgExport'
+import { Undo2, Redo2, Download, Trash2, Lock, Unlock, Upload, Save, FolderOpen, Link2, Sun, Moon, HelpCircle, AlertTriangle, ClipboardList, FileImage } from 'lucide-react'
+
+const AUTOSAVE_DELAY = 500; // ms of inactivity before the plan is written to storage
 
 function App() {
   const [items, setItems] = useState([])
@@ -11,7 +26,28 @@ function App() {
   const [history, setHistory] = useState([])
   const [historyIndex, setHistoryIndex] = useState(-1)
   const [isRoomLocked, setIsRoomLocked] = useState(false)
+  const [projectMeta, setProjectMeta] = useState({})
+  // Named project (IndexedDB record) the canvas belongs to, or null for an unsaved plan
+  const [currentProjectId, setCurrentProjectId] = useState(null)
+  const [showProjects, setShowProjects] = useState(false)
+  const [showTemplates, setShowTemplates] = useState(false)
+  const [showProblems, setShowProblems] = useState(false)
+  const [showPdfExport, setShowPdfExport] = useState(false)
+  const [showProjectDetails, setShowProjectDetails] = useState(false)
+  // Last scale, paper and orientation picked for the PDF
+  const [pdfOptions, setPdfOptions] = useState(DEFAULT_PDF_OPTIONS)
+  // Checks behind the problems panel, from public/layout-rules.json - none until it has loaded
+  const [layoutRules, setLayoutRules] = useState([])
+  const lastStoredPlan = useRef(null)
   const canvasRef = useRef(null)
+  const fileInputRef = useRef(null)
+  const [view, setView] = useState(null)
+  // A previous session found on startup, held until the user decides whether to restore it.
+  // A shared link is dealt with first - see pendingShare.
+  const [pendingRestore, setPendingRestore] = useState(() => hasSharedPlan() ? null : loadAutosave())
+  // A plan opened from a share link: { loading: true } while it's decoded, then { plan, previous } while the
+  // user decides whether it may replace their autosaved session
+  const [pendingShare, setPendingShare] = useState(() => hasSharedPlan() ? { loading: true } : null)
   const [theme, setTheme] = useState(() => {
     // Check for saved preference or system preference
     if (typeof window !== 'undefined') {
@@ -32,6 +68,136 @@ function App() {
     setTheme(prev => prev === 'light' ? 'dark' : 'light')
   }
 
+  // Autosave - debounced, and paused while the restore or shared plan prompt is open (or a shared plan is
+  // still loading) so the old save survives
+  useEffect(() => {
+    if (pendingRestore || pendingShare) return;
+    const timer = setTimeout(() => {
+      saveAutosave({ items, isRoomLocked, metadata: projectMeta, projectId: currentProjectId, view, history, historyIndex });
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [items, isRoomLocked, projectMeta, currentProjectId, view, history, historyIndex, pendingRestore, pendingShare]);
+
+  // Keep the open named project up to date in IndexedDB (thumbnail is refreshed separately)
+  useEffect(() => {
+    if (!currentProjectId) return;
+    const planKey = JSON.stringify({ items, isRoomLocked, projectMeta });
+    if (planKey === lastStoredPlan.current) return;
+    const timer = setTimeout(() => {
+      lastStoredPlan.current = planKey;
+      updateProject(currentProjectId, {
+        plan: createProjectFile({ items, isRoomLocked, metadata: projectMeta }),
+      }).catch((error) => console.warn('[Projects] Could not save project:', error));
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [items, isRoomLocked, projectMeta, currentProjectId]);
+
+  const openSharedPlan = (plan) => {
+    setItems(plan.items);
+    setIsRoomLocked(plan.isRoomLocked);
+    setProjectMeta(plan.metadata);
+    setCurrentProjectId(null);
+    setHistory([]);
+    setHistoryIndex(-1);
+    setSelectedIds([]);
+  };
+
+  // Open a plan shared through a link (#plan=...)
+  useEffect(() => {
+    if (!hasSharedPlan()) return;
+    let cancelled = false;
+    readSharedPlan()
+      .then((plan) => {
+        if (cancelled) return;
+        clearSharedPlanHash();
+        // Ask before the shared plan takes the place of unsaved local work
+        const previous = loadAutosave();
+        if (previous) {
+          setPendingShare({ plan, previous });
+          return;
+        }
+        openSharedPlan(plan);
+        setPendingShare(null);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Share link error:', error);
+        clearSharedPlanHash();
+        setPendingShare(null);
+        // Nothing was opened, so offer the previous session as on a normal start
+        setPendingRestore(loadAutosave());
+        alert(error instanceof ShareLinkError ? error.message : 'This share link could not be opened.');
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadLayoutRules()
+      .then((rules) => {
+        if (!cancelled) setLayoutRules(rules);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Layout rules error:', error);
+        alert(`The layout checks are switched off: ${error.message}`);
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  const restoreSession = (session) => {
+    setItems(session.items);
+    setIsRoomLocked(session.isRoomLocked);
+    setProjectMeta(session.metadata);
+    setCurrentProjectId(session.projectId);
+    setHistory(session.history);
+    setHistoryIndex(session.historyIndex);
+    setSelectedIds([]);
+    if (session.view) canvasRef.current?.setView(session.view);
+  };
+
+  const handleRestoreSession = () => {
+    restoreSession(pendingRestore);
+    setPendingRestore(null);
+  };
+
+  const handleOpenSharedPlan = () => {
+    openSharedPlan(pendingShare.plan);
+    setPendingShare(null);
+  };
+
+  const handleKeepLocalPlan = () => {
+    restoreSession(pendingShare.previous);
+    setPendingShare(null);
+  };
+
+  const handleDiscardSession = () => {
+    clearAutosave();
+    setPendingRestore(null);
+  };
+
+  // Edits go through here so doors and windows hosted in a wall follow their room
+  const updateItems = useCallback((update) => {
+    setItems((prev) => placeHostedOpenings(typeof update === 'function' ? update(prev) : update));
+  }, []);
+
+  // Layout rule breaches, re-checked whenever the plan changes
+  const problems = useMemo(() => checkLayout(items, layoutRules), [items, layoutRules]);
+  // Warnings the canvas draws, worked out here once per change rather than on every canvas render
+  const collisions = useMemo(() => getCollisions(items), [items]);
+  const zoneConflicts = useMemo(() => getClearanceZoneConflicts(items), [items]);
+  const electricalBreachIds = useMemo(() => {
+    const ruleIds = layoutRules.filter((rule) => rule.check === 'electricalZone').map((rule) => rule.id);
+    return problems.filter((problem) => ruleIds.includes(problem.ruleId)).flatMap((problem) => problem.itemIds);
+  }, [problems, layoutRules]);
+
+  const handleSelectProblem = (problem) => {
+    const involved = items.filter((item) => problem.itemIds.includes(item.id));
+    // Locked rooms can't be selected, but still frame the view
+    setSelectedIds(involved.filter((item) => !(isRoomLocked && isRoomItem(item))).map((item) => item.id));
+    canvasRef.current?.fitToScreen(involved);
+  };
+
   const pushHistory = useCallback(() => {
     setHistory(prev => {
       const newHistory = prev.slice(0, historyIndex + 1);
@@ -77,19 +243,19 @@ function App() {
         if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
           e.preventDefault();
           pushHistory();
-          setItems((prev) => prev.filter((item) => !selectedIds.includes(item.id)));
+          updateItems((prev) => prev.filter((item) => !selectedIds.includes(item.id)));
           setSelectedIds([]);
         }
       }
     };
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [handleUndo, handleRedo, selectedIds, pushHistory]);
+  }, [handleUndo, handleRedo, selectedIds, pushHistory, updateItems]);
 
   const handleDelete = () => {
     if (selectedIds.length > 0) {
       pushHistory();
-      setItems((prev) => prev.filter((item) => !selectedIds.includes(item.id)));
+      updateItems((prev) => prev.filter((item) => !selectedIds.includes(item.id)));
       setSelectedIds([]);
     }
   };
@@ -118,103 +284,206 @@ function App() {
       y: Math.max(50, centerY - 64),  // Convert to canvas coordinates (remove header offset)
       rotation: 0,
     };
-    setItems((prev) => [...prev, newItem]);
+    // Doors and windows go into the wall nearest the middle of the view - there's no drop point to go by
+    const centre = { x: newItem.x + newItem.width / 2, y: newItem.y + newItem.height / 2 };
+    updateItems((prev) => [...prev, isOpeningItem(newItem) ? attachOpening(newItem, centre, prev, { nearest: true }) : newItem]);
     setSelectedIds([newItem.id]);
   };
 
-  // PDF Export Function
-  const handleExportPdf = async () => {
-    if (!canvasRef.current) {
-      alert('Canvas not ready');
+  // Project file export - downloads the plan as a .bathplan.json file
+  const handleSaveProjectFile = () => {
+    const project = createProjectFile({ items, isRoomLocked, metadata: projectMeta });
+    setProjectMeta(project.metadata);
+    downloadProjectFile(project);
+  };
+
+  // Project file import - replaces the current plan with the chosen file
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // allow re-importing the same file
+    if (!file) return;
+
+    try {
+      const project = parseProjectFile(await file.text());
+      if (items.length > 0 && !confirm(`Replace the current plan with "${file.name}"?`)) return;
+      pushHistory();
+      setItems(project.items);
+      setIsRoomLocked(project.isRoomLocked);
+      setProjectMeta(project.metadata);
+      setCurrentProjectId(null);
+      setSelectedIds([]);
+    } catch (error) {
+      if (error instanceof ProjectFileError) {
+        const details = error.problems.slice(0, 8).map((problem) => `• ${problem}`).join('\n');
+        const more = error.problems.length > 8 ? `\n…and ${error.problems.length - 8} more` : '';
+        alert(`Could not import "${file.name}".\n\n${error.message}${details ? `\n\n${details}${more}` : ''}`);
+      } else {
+        console.error('Project import error:', error);
+        alert(`Could not import "${file.name}". Please try again.`);
+      }
+    }
+  };
+
+  // Copies a link that opens this exact layout for whoever follows it
+  const handleCopyLink = async () => {
+    let url;
+    try {
+      url = await createShareUrl({ items, isRoomLocked, metadata: projectMeta });
+    } catch (error) {
+      console.error('Share link error:', error);
+      alert(error instanceof ShareLinkError ? error.message : 'Failed to create a share link. Please try again.');
       return;
     }
 
+    try {
+      await navigator.clipboard.writeText(url);
+      alert('Link copied! Anyone who opens it will see this layout.');
+    } catch {
+      // Clipboard blocked (e.g. insecure context) - let the user copy it by hand
+      prompt('Copy this link to share the plan:', url);
+    }
+  };
+
+  // Replaces the canvas with a starter layout (undoable)
+  // The template starts a new, unsaved plan - the open project keeps its own copy untouched
+  const handleApplyTemplate = (template) => {
+    const keepsProject = currentProjectId && projectMeta.name ? ` "${projectMeta.name}" stays saved as it is.` : '';
+    if (items.length > 0 && !confirm(`Replace the current plan with the "${template.name}" template?${keepsProject}`)) return;
+    pushHistory();
+    updateItems(template.plan.items);
+    setIsRoomLocked(template.plan.isRoomLocked);
+    setCurrentProjectId(null);
+    setProjectMeta({});
+    setSelectedIds([]);
+    setShowTemplates(false);
+    canvasRef.current?.fitToScreen(template.plan.items);
+  };
+
+  // Captures the canvas as a small image for the project list
+  const captureThumbnail = async () => {
+    if (items.length === 0 || !canvasRef.current) return null;
+    const imageData = await canvasRef.current.getStageImage();
+    return imageData ? createThumbnail(imageData) : null;
+  };
+
+  // Writes the canvas to the open project, including a fresh thumbnail
+  const storeCurrentProject = async () => {
+    if (!currentProjectId) return;
+    const plan = createProjectFile({ items, isRoomLocked, metadata: projectMeta });
+    lastStoredPlan.current = JSON.stringify({ items, isRoomLocked, projectMeta });
+    await updateProject(currentProjectId, { plan, thumbnail: await captureThumbnail() });
+  };
+
+  const handleShowProjects = async () => {
+    try {
+      await storeCurrentProject();
+    } catch (error) {
+      console.warn('[Projects] Could not save project:', error);
+    }
+    setShowProjects(true);
+  };
+
+  const loadPlan = ({ items: planItems, isRoomLocked: planLocked, metadata }, projectId) => {
+    setItems(planItems);
+    setIsRoomLocked(planLocked);
+    setProjectMeta(metadata);
+    setCurrentProjectId(projectId);
+    setHistory([]);
+    setHistoryIndex(-1);
+    setSelectedIds([]);
+  };
+
+  const handleOpenProject = (record) => {
+    if (!currentProjectId && items.length > 0 &&
+      !confirm('The plan on the canvas is not saved to a project. Open another project anyway?')) return;
+    try {
+      const plan = readProject(record.plan);
+      lastStoredPlan.current = JSON.stringify({ items: plan.items, isRoomLocked: plan.isRoomLocked, projectMeta: plan.metadata });
+      loadPlan(plan, record.id);
+      setShowProjects(false);
+    } catch (error) {
+      console.error('Project open error:', error);
+      alert(`Could not open "${record.name}". ${error.message}`);
+    }
+  };
+
+  const handleCreateProject = async ({ name, customerName, fromCurrent }) => {
+    const now = new Date().toISOString();
+    // Saving the canvas as a project keeps the details already filled in for it
+    const metadata = fromCurrent
+      ? { ...projectMeta, name, customerName: customerName || projectMeta.customerName || '', createdAt: now }
+      : { name, customerName, createdAt: now };
+    const planItems = fromCurrent ? items : [];
+    const planLocked = fromCurrent ? isRoomLocked : false;
+    try {
+      const record = await saveProject({
+        id: crypto.randomUUID(),
+        name,
+        customerName: metadata.customerName,
+        createdAt: now,
+        thumbnail: fromCurrent ? await captureThumbnail() : null,
+        plan: createProjectFile({ items: planItems, isRoomLocked: planLocked, metadata }),
+      });
+      lastStoredPlan.current = JSON.stringify({ items: planItems, isRoomLocked: planLocked, projectMeta: metadata });
+      if (fromCurrent) {
+        setProjectMeta(metadata);
+        setCurrentProjectId(record.id);
+      } else {
+        loadPlan({ items: [], isRoomLocked: false, metadata }, record.id);
+      }
+      setShowProjects(false);
+    } catch (error) {
+      console.error('Project create error:', error);
+      alert(`Could not create the project. ${error.message}`);
+    }
+  };
+
+  const handleProjectRenamed = (record) => {
+    if (record.id !== currentProjectId) return;
+    const metadata = { ...projectMeta, name: record.name, customerName: record.customerName };
+    lastStoredPlan.current = JSON.stringify({ items, isRoomLocked, projectMeta: metadata });
+    setProjectMeta(metadata);
+  };
+
+  const handleProjectDeleted = (id) => {
+    if (id === currentProjectId) setCurrentProjectId(null);
+  };
+
+  const handleSaveProjectDetails = (details) => {
+    setProjectMeta((prev) => ({ ...prev, ...details }));
+    setShowProjectDetails(false);
+    // The project list shows the customer from the record itself
+    if (currentProjectId && details.customerName !== projectMeta.customerName) {
+      updateProject(currentProjectId, { customerName: details.customerName })
+        .catch((error) => console.warn('[Projects] Could not save project:', error));
+    }
+  };
+
+  // PDF Export Function
+  const handleExportPdf = () => {
     if (items.length === 0) {
       alert('Please add some items to your bathroom plan before exporting.');
       return;
     }
 
-    try {
-      // Get the stage image from canvas
-      const imageData = await canvasRef.current.getStageImage();
-      if (!imageData) {
-        alert('Failed to capture bathroom plan.');
+    if (problems.length > 0) {
+      const listed = problems.slice(0, 5).map((problem) => `• ${problem.message}`).join('\n');
+      const more = problems.length > 5 ? `\n…and ${problems.length - 5} more` : '';
+      if (!confirm(`This layout has ${problems.length} problem${problems.length === 1 ? '' : 's'}:\n\n${listed}${more}\n\nExport anyway?`)) {
+        setShowProblems(true);
         return;
       }
+    }
 
-      // Create PDF (A4 size)
-      const pdf = new jsPDF({
-        orientation: 'portrait',
-        unit: 'mm',
-        format: 'a4',
-      });
-
-      const pageWidth = pdf.internal.pageSize.getWidth();
-      const pageHeight = pdf.internal.pageSize.getHeight();
-      const margin = 15;
-
-      // Header - AM Hancock branding
-      pdf.setFillColor(255, 102, 0); // #ff6600
-      pdf.rect(0, 0, pageWidth, 25, 'F');
-      
-      pdf.setTextColor(255, 255, 255);
-      pdf.setFontSize(18);
-      pdf.setFont('helvetica', 'bold');
-      pdf.text('AM Hancock & Son', margin, 16);
-      
-      pdf.setFontSize(10);
-      pdf.setFont('helvetica', 'normal');
-      pdf.text('Bathroom Layout Plan', pageWidth - margin, 16, { align: 'right' });
-
-      // Date
-      pdf.setTextColor(100, 100, 100);
-      pdf.setFontSize(9);
-      const date = new Date().toLocaleDateString('en-GB', { 
-        day: 'numeric', 
-        month: 'long', 
-        year: 'numeric' 
-      });
-      pdf.text(`Generated: ${date}`, margin, 35);
-
-      // Calculate image dimensions to fit on page
-      const availableWidth = pageWidth - (margin * 2);
-      const availableHeight = pageHeight - 80; // Leave space for header and footer
-      
-      const imgAspectRatio = imageData.width / imageData.height;
-      let imgWidth = availableWidth;
-      let imgHeight = imgWidth / imgAspectRatio;
-      
-      if (imgHeight > availableHeight) {
-        imgHeight = availableHeight;
-        imgWidth = imgHeight * imgAspectRatio;
-      }
+    setShowPdfExport(true);
+  };
 
-      // Center the image horizontally
-      const imgX = (pageWidth - imgWidth) / 2;
-      const imgY = 45;
-
-      // Add white background for image area
-      pdf.setFillColor(248, 249, 252);
-      pdf.rect(margin, imgY - 5, pageWidth - (margin * 2), imgHeight + 10, 'F');
-
-      // Add the bathroom plan image
-      pdf.addImage(imageData.dataURL, 'PNG', imgX, imgY, imgWidth, imgHeight);
-
-      // Add border around image
-      pdf.setDrawColor(200, 200, 200);
-      pdf.setLineWidth(0.5);
-      pdf.rect(imgX - 2, imgY - 2, imgWidth + 4, imgHeight + 4);
-
-      // Footer
-      const footerY = pageHeight - 15;
-      pdf.setDrawColor(255, 102, 0);
-      pdf.setLineWidth(0.5);
-      pdf.line(margin, footerY - 5, pageWidth - margin, footerY - 5);
-      
-      pdf.setTextColor(100, 100, 100);
-      pdf.setFontSize(8);
-      pdf.text('AM Hancock & Son - Quality Bathroom Installations', margin, footerY);
-      pdf.text('www.amhancock.co.uk', pageWidth - margin, footerY, { align: 'right' });
+  const handleConfirmPdfExport = (options) => {
+    setShowPdfExport(false);
+    setPdfOptions(options);
+    try {
+      // Drawn from the items, so it doesn't depend on the canvas view
+      const pdf = createPlanPdf({ items, details: projectMeta, options });
 
       // Download the PDF
       const filename = `bathroom-plan-${new Date().toISOString().split('T')[0]}.pdf`;
@@ -226,6 +495,21 @@ function App() {
     }
   };
 
+  // Layered SVG of the plan in real-world mm, for CAD and the website
+  const handleExportSvg = () => {
+    if (items.length === 0) {
+      alert('Please add some items to your bathroom plan before exporting.');
+      return;
+    }
+    try {
+      const svg = createPlanSvg({ items, title: projectMeta.name || 'Bathroom Layout Plan' });
+      downloadPlanSvg(svg, `bathroom-plan-${new Date().toISOString().split('T')[0]}.svg`);
+    } catch (error) {
+      console.error('SVG export error:', error);
+      alert('Failed to export SVG. Please try again.');
+    }
+  };
+
   return (
     <div className="flex h-screen w-full flex-col overflow-hidden font-sans">
       {/* Decorative Background Elements */}
@@ -264,8 +548,26 @@ function App() {
           />
         </div>
 
-        {/* Center Section - Lock Room Toggle */}
+        {/* Center Section - Project Name & Lock Room Toggle */}
         <div className="flex items-center gap-2">
+          {currentProjectId && projectMeta.name && (
+            <span
+              id="current-project-name"
+              title={projectMeta.customerName ? `Customer: ${projectMeta.customerName}` : undefined}
+              style={{
+                maxWidth: '200px',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap',
+                fontSize: '13px',
+                fontWeight: 600,
+                color: 'var(--text-primary)',
+                marginRight: '6px',
+              }}
+            >
+              {projectMeta.name}
+            </span>
+          )}
           <button
             id="btn-lock-room"
             onClick={() => setIsRoomLocked(!isRoomLocked)}
@@ -312,15 +614,64 @@ function App() {
             {theme === 'light' ? <Moon className="w-4.5 h-4.5" /> : <Sun className="w-4.5 h-4.5" />}
           </button>
 
-          {/* Import Template */}
+          {/* Projects */}
+          <button
+            id="btn-projects"
+            onClick={handleShowProjects}
+            className="p-2.5 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-white/60 rounded-xl transition-all duration-200 border border-transparent hover:border-black/5"
+            title="Projects"
+          >
+            <FolderOpen className="w-4.5 h-4.5" />
+          </button>
+
+          {/* Project Details */}
+          <button
+            id="btn-project-details"
+            onClick={() => setShowProjectDetails(true)}
+            className="p-2.5 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-white/60 rounded-xl transition-all duration-200 border border-transparent hover:border-black/5"
+            title="Project Details"
+          >
+            <ClipboardList className="w-4.5 h-4.5" />
+          </button>
+
+          {/* Import Project File */}
           <button
             id="btn-import"
             className="p-2.5 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-white/60 rounded-xl transition-all duration-200 border border-transparent hover:border-black/5"
-            title="Import Template (Coming Soon)"
-            onClick={() => alert('Import Template feature coming soon!')}
+            title={`Import Project (${PROJECT_FILE_EXTENSION})`}
+            onClick={() => fileInputRef.current?.click()}
           >
             <Upload className="w-4.5 h-4.5" />
           </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={`${PROJECT_FILE_EXTENSION},.json,application/json`}
+            onChange={handleImportFile}
+            style={{ display: 'none' }}
+          />
+
+          {/* Save Project File */}
+          <button
+            id="btn-save-file"
+            onClick={handleSaveProjectFile}
+            disabled={items.length === 0}
+            className="p-2.5 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-white/60 rounded-xl transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed border border-transparent hover:border-black/5"
+            title={`Download Project (${PROJECT_FILE_EXTENSION})`}
+          >
+            <Save className="w-4.5 h-4.5" />
+          </button>
+
+          {/* Copy Share Link */}
+          <button
+            id="btn-share-link"
+            onClick={handleCopyLink}
+            disabled={items.length === 0}
+            className="p-2.5 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-white/60 rounded-xl transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed border border-transparent hover:border-black/5"
+            title="Copy Link"
+          >
+            <Link2 className="w-4.5 h-4.5" />
+          </button>
 
           {/* Undo */}
           <button
@@ -344,6 +695,24 @@ function App() {
             <Redo2 className="w-4.5 h-4.5" />
           </button>
 
+          {/* Layout Problems */}
+          <button
+            id="btn-problems"
+            onClick={() => setShowProblems((prev) => !prev)}
+            className="relative p-2.5 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-white/60 rounded-xl transition-all duration-200 border border-transparent hover:border-black/5"
+            title={problems.length ? `${problems.length} Layout Problem${problems.length === 1 ? '' : 's'}` : 'Layout Problems'}
+          >
+            <AlertTriangle className="w-4.5 h-4.5" />
+            {problems.length > 0 && (
+              <span
+                className="absolute top-0.5 right-0.5 min-w-4 h-4 px-1 rounded-full text-[10px] font-bold leading-4 text-white text-center"
+                style={{ background: problems.some((problem) => problem.severity === 'error') ? '#ef4444' : '#f59e0b' }}
+              >
+                {problems.length}
+              </span>
+            )}
+          </button>
+
           {/* Clear */}
           <button
             id="btn-clear"
@@ -355,6 +724,17 @@ function App() {
             <Trash2 className="w-4.5 h-4.5" />
           </button>
 
+          {/* Export SVG */}
+          <button
+            id="btn-export-svg"
+            onClick={handleExportSvg}
+            disabled={items.length === 0}
+            className="p-2.5 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-white/60 rounded-xl transition-all duration-200 disabled:opacity-30 disabled:cursor-not-allowed border border-transparent hover:border-black/5"
+            title="Export SVG"
+          >
+            <FileImage className="w-4.5 h-4.5" />
+          </button>
+
           {/* Export Button - Primary CTA */}
           <button
             id="btn-export"
@@ -370,16 +750,28 @@ function App() {
 
       {/* Main Workspace */}
       <div className="flex flex-1 overflow-hidden relative">
-        <Sidebar selectedIds={selectedIds} onDelete={handleDelete} onAdd={handleAddItem} theme={theme} />
+        <Sidebar
+          selectedIds={selectedIds}
+          onDelete={handleDelete}
+          onAdd={handleAddItem}
+          onDrawRoom={() => canvasRef.current?.startRoomDrawing()}
+          onBrowseTemplates={() => setShowTemplates(true)}
+          theme={theme}
+        />
         <CanvasEditor
           ref={canvasRef}
           items={items}
-          setItems={setItems}
+          setItems={updateItems}
           selectedIds={selectedIds}
           setSelectedIds={setSelectedIds}
           pushHistory={pushHistory}
           isRoomLocked={isRoomLocked}
+          collisions={collisions}
+          zoneConflicts={zoneConflicts}
+          electricalBreachIds={electricalBreachIds}
           theme={theme}
+          onViewChange={setView}
+          onBrowseTemplates={() => setShowTemplates(true)}
         />
         {/* Properties Panel - shows when single item selected */}
         {selectedIds.length === 1 && (
@@ -387,14 +779,99 @@ function App() {
             selectedItem={items.find(item => item.id === selectedIds[0])}
             onUpdate={(updatedItem) => {
               pushHistory();
-              setItems(prev => prev.map(item => 
+              updateItems(prev => prev.map(item => 
                 item.id === updatedItem.id ? updatedItem : item
               ));
             }}
             onClose={() => setSelectedIds([])}
           />
         )}
+        {showProblems && (
+          <ProblemsPanel
+            problems={problems}
+            onSelectProblem={handleSelectProblem}
+            onClose={() => setShowProblems(false)}
+          />
+        )}
       </div>
+
+      {showProjects && (
+        <ProjectManager
+          currentProjectId={currentProjectId}
+          canSaveCurrent={items.length > 0}
+          onOpen={handleOpenProject}
+          onCreate={handleCreateProject}
+          onRenamed={handleProjectRenamed}
+          onDeleted={handleProjectDeleted}
+          onClose={() => setShowProjects(false)}
+        />
+      )}
+
+      {showTemplates && (
+        <TemplateGallery onSelect={handleApplyTemplate} onClose={() => setShowTemplates(false)} />
+      )}
+
+      {showProjectDetails && (
+        <ProjectDetailsDialog
+          details={projectMeta}
+          onSave={handleSaveProjectDetails}
+          onClose={() => setShowProjectDetails(false)}
+        />
+      )}
+
+      {showPdfExport && (
+        <PdfExportDialog
+          items={items}
+          initialOptions={pdfOptions}
+          onExport={handleConfirmPdfExport}
+          onClose={() => setShowPdfExport(false)}
+        />
+      )}
+
+      {/* Shared link would replace the autosaved session */}
+      {pendingShare?.plan && (
+        <Modal
+          id="open-shared-plan-dialog"
+          title="Open shared plan?"
+          footer={
+            <>
+              <button className="btn-ghost" onClick={handleKeepLocalPlan}>Keep my plan</button>
+              <button className="btn-primary" onClick={handleOpenSharedPlan}>Open shared plan</button>
+            </>
+          }
+        >
+          <p style={{ margin: 0, lineHeight: 1.5 }}>
+            This link contains a plan with {pendingShare.plan.items.length} item{pendingShare.plan.items.length === 1 ? '' : 's'}.
+            Opening it replaces the plan you were working on ({pendingShare.previous.items.length} item{pendingShare.previous.items.length === 1 ? '' : 's'}),
+            which is only kept in this browser. Keep your plan to carry on where you left off instead.
+          </p>
+        </Modal>
+      )}
+
+      {/* Restore previous session prompt */}
+      {pendingRestore && (
+        <Modal
+          id="restore-session-dialog"
+          title="Restore previous session?"
+          footer={
+            <>
+              <button className="btn-ghost" onClick={handleDiscardSession}>Start fresh</button>
+              <button className="btn-primary" onClick={handleRestoreSession}>Restore</button>
+            </>
+          }
+        >
+          <p style={{ margin: 0, lineHeight: 1.5 }}>
+            We found a plan with {pendingRestore.items.length} item{pendingRestore.items.length === 1 ? '' : 's'}
+            {pendingRestore.savedAt && ` from ${new Date(pendingRestore.savedAt).toLocaleString('en-GB', {
+              day: 'numeric',
+              month: 'long',
+              hour: '2-digit',
+              minute: '2-digit',
+            })}`}
+            . Would you like to carry on where you left off?
+          </p>
+        </Modal>
+      )}
     </div>
   )
 }
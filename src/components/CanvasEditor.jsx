@@ -1,16 +1,32 @@
 import React, { useRef, useState, useEffect, useCallback, forwardRef, useImperativeHandle } from 'react';
-import { Stage, Layer, Rect, Transformer, Group, Text, Line, Ellipse, Arc, Circle } from 'react-konva';
-import { MousePointer2, Move, ZoomIn, ZoomOut, Maximize, RotateCcw } from 'lucide-react';
-
-const GRID_SIZE = 50;
-const PIXELS_PER_MM = 0.5;
+import { Stage, Layer, Rect, Transformer, Group, Text, Line, Ellipse, Arc, Circle, Arrow } from 'react-konva';
+import { MousePointer2, Move, ZoomIn, ZoomOut, Maximize, RotateCcw, LayoutTemplate, Magnet, Ruler, SquareDashed, Zap, ShieldBan } from 'lucide-react';
+import { pxToMm, mmToPx } from '../utils/units';
+import { snapToGrid, getGridSteps, snapResizedAxis } from '../utils/grid';
+import { isRoomItem, getWallThickness, getRoomOutline, offsetPolygon, getPointsBounds, getPlanBounds, getWallLengths, findContainingRoom, keepInsideRoom, createPolygonRoom, resizeItem, getLCutPoint, getLCutFromPoint, isOpeningItem, attachOpening, getSillHeight, getDoorSettings, getDoorSwing, snapFixture, getItemFootprint, getAlignmentTargets, getAlignmentSnap, getAlignmentGuides, getNeighbourGaps, getClearances, setClearance, isMeasureItem, createMeasureItem, snapToOutlines, getClearanceZone, getClearanceZoneConflicts, getElectricalZones, toCanvasPoints, fixturesCollide, getCollisions, getItemsInRect, getExportBounds, DEFAULT_WALL_THICKNESS_MM } from '../utils/geometry';
+
+const GRID_SPACINGS_MM = [10, 50, 100, 500];
+const GRID_SETTINGS_KEY = 'bathroom-planner-grid';
 const MIN_ZOOM = 0.25;
 const MAX_ZOOM = 3;
 const ZOOM_STEP = 0.25;
+const SNAP_DISTANCE = 12; // screen px within which a dragged fixture snaps to walls and other fixtures
+const CLOSE_DISTANCE = 10; // screen px from the first corner that closes a drawn room
+
+const loadGridSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GRID_SETTINGS_KEY));
+    if (GRID_SPACINGS_MM.includes(saved?.spacingMm)) return { spacingMm: saved.spacingMm, snap: saved.snap !== false };
+  } catch {
+    // Fall through to the defaults
+  }
+  return { spacingMm: 100, snap: true };
+};
 
-const pxToMm = (px) => Math.round(px / PIXELS_PER_MM);
+// Electrical zone shading, zone 0 darkest
+const ELECTRICAL_ZONE_FILLS = ['rgba(37, 99, 235, 0.3)', 'rgba(59, 130, 246, 0.2)', 'rgba(147, 197, 253, 0.22)'];
 
-export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems, selectedIds, setSelectedIds, pushHistory, isRoomLocked, theme }, ref) {
+export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems, selectedIds, setSelectedIds, pushHistory, isRoomLocked, collisions, zoneConflicts: planZoneConflicts, electricalBreachIds, theme, onViewChange, onBrowseTemplates }, ref) {
   const stageRef = useRef(null);
   const containerRef = useRef(null);
   const [dimensions, setDimensions] = useState({ width: 800, height: 600 });
@@ -24,70 +40,46 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
 
   // Multi-drag state
   const dragStartPositions = useRef({});
+  // Alignment guides and neighbour gaps shown while dragging
+  const [guides, setGuides] = useState(null);
+  // Clearance dimension being typed over: { clearance, value } in mm
+  const [editingClearance, setEditingClearance] = useState(null);
+  // Activity space overlays in front of fixtures
+  const [showZones, setShowZones] = useState(true);
+  // Bathroom electrical zones around baths and showers
+  const [showElectricalZones, setShowElectricalZones] = useState(false);
+  // Stops a dragged fixture where it would touch another, rather than letting it overlap
+  const [preventOverlap, setPreventOverlap] = useState(false);
+  const lastFreePosition = useRef(null);
+
+  // Grid spacing and snap-to-grid, remembered between sessions
+  const [grid, setGrid] = useState(loadGridSettings);
+  const gridSize = mmToPx(grid.spacingMm);
+  // Snaps a canvas point to the grid unless snapping is off or Alt is held
+  const snapPoint = (point, evt) => (grid.snap && !evt?.altKey ? snapToGrid(point, gridSize) : point);
 
-  // Panning state (spacebar + drag)
-  const [isPanning, setIsPanning] = useState(false);
-  const panStart = useRef({ x: 0, y: 0 });
-
-  // Expose methods for PDF export
-  useImperativeHandle(ref, () => ({
-    getStageImage: () => {
-      const stage = stageRef.current;
-      if (!stage) return null;
-      
-      // Deselect all to hide transformers for clean export
-      setSelectedIds([]);
-      
-      // Wait a tick for the deselection to render
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          // Get the bounding box of all content
-          if (items.length === 0) {
-            resolve(null);
-            return;
-          }
+  useEffect(() => {
+    localStorage.setItem(GRID_SETTINGS_KEY, JSON.stringify(grid));
+  }, [grid]);
 
-          // Calculate bounds of all items
-          let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-          items.forEach(item => {
-            const rotation = (item.rotation || 0) * Math.PI / 180;
-            const cos = Math.abs(Math.cos(rotation));
-            const sin = Math.abs(Math.sin(rotation));
-            const rotatedWidth = item.width * cos + item.height * sin;
-            const rotatedHeight = item.width * sin + item.height * cos;
-            const centerX = item.x + item.width / 2;
-            const centerY = item.y + item.height / 2;
-            minX = Math.min(minX, centerX - rotatedWidth / 2);
-            minY = Math.min(minY, centerY - rotatedHeight / 2);
-            maxX = Math.max(maxX, centerX + rotatedWidth / 2);
-            maxY = Math.max(maxY, centerY + rotatedHeight / 2);
-          });
+  // Room drawing state - corners placed so far (canvas coords), null when not drawing
+  const [drawingPoints, setDrawingPoints] = useState(null);
+  const [drawingCursor, setDrawingCursor] = useState(null);
+  const isDrawing = drawingPoints !== null;
 
-          const padding = 40;
-          const exportWidth = maxX - minX + padding * 2;
-          const exportHeight = maxY - minY + padding * 2;
+  // Measure tool state - null when off, [] waiting for the first point, [x, y] once it's placed
+  const [measurePoints, setMeasurePoints] = useState(null);
+  const [measureCursor, setMeasureCursor] = useState(null);
+  const isMeasuring = measurePoints !== null;
 
-          // Export the stage with white background
-          const dataURL = stage.toDataURL({
-            x: minX - padding,
-            y: minY - padding,
-            width: exportWidth,
-            height: exportHeight,
-            pixelRatio: 2, // Higher quality
-            mimeType: 'image/png',
-          });
+  // Panning state (spacebar + drag)
+  const [isPanning, setIsPanning] = useState(false);
+  const panStart = useRef({ x: 0, y: 0 });
 
-          resolve({
-            dataURL,
-            width: exportWidth,
-            height: exportHeight,
-          });
-        }, 100);
-      });
-    },
-    getItems: () => items,
-    getDimensions: () => dimensions,
-  }));
+  // Report zoom/pan changes so the plan's view can be autosaved
+  useEffect(() => {
+    onViewChange?.({ zoom, stagePos });
+  }, [zoom, stagePos, onViewChange]);
 
   // Fixed light colors for fixtures (realistic - fixtures are always white)
   // Room and grid adapt to theme
@@ -104,8 +96,15 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
     // Room fill adapts to theme (grey in dark mode = floor)
     roomFill: isDark ? '#3a3a5a' : '#f8fafc',
     roomStroke: isDark ? '#5a5a7a' : '#64748b',
+    // Walls are drawn solid, like a plan's poché
+    wallFill: isDark ? '#6a6a8a' : '#475569',
+    wallStroke: isDark ? '#8a8aaa' : '#334155',
     // Grid adapts for visibility on dark canvas
     gridColor: isDark ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.04)',
+    gridMinorColor: isDark ? 'rgba(255,255,255,0.04)' : 'rgba(0,0,0,0.02)',
+    // Clearance zones - turn red where they're obstructed
+    zoneFill: isDark ? 'rgba(34, 197, 94, 0.1)' : 'rgba(34, 197, 94, 0.08)',
+    zoneStroke: 'rgba(34, 197, 94, 0.6)',
   };
 
   useEffect(() => {
@@ -259,39 +258,15 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
     setStagePos({ x: 0, y: 0 });
   }, []);
 
-  const handleFitToScreen = useCallback(() => {
-    if (items.length === 0) {
+  // Fits the given items (default: the whole plan) into the viewport
+  const handleFitToScreen = useCallback((fitItems = items) => {
+    if (fitItems.length === 0) {
       handleResetZoom();
       return;
     }
 
-    // Calculate bounding box of all items (accounting for rotation)
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    
-    items.forEach(item => {
-      const rotation = (item.rotation || 0) * Math.PI / 180;
-      const cos = Math.abs(Math.cos(rotation));
-      const sin = Math.abs(Math.sin(rotation));
-      
-      // Calculate rotated bounding box size
-      const rotatedWidth = item.width * cos + item.height * sin;
-      const rotatedHeight = item.width * sin + item.height * cos;
-      
-      // Center of the item
-      const centerX = item.x + item.width / 2;
-      const centerY = item.y + item.height / 2;
-      
-      // Bounding box of rotated item
-      const itemMinX = centerX - rotatedWidth / 2;
-      const itemMinY = centerY - rotatedHeight / 2;
-      const itemMaxX = centerX + rotatedWidth / 2;
-      const itemMaxY = centerY + rotatedHeight / 2;
-      
-      minX = Math.min(minX, itemMinX);
-      minY = Math.min(minY, itemMinY);
-      maxX = Math.max(maxX, itemMaxX);
-      maxY = Math.max(maxY, itemMaxY);
-    });
+    // Bounding box of all items (accounting for rotation and walls)
+    const { minX, minY, maxX, maxY } = getPlanBounds(fitItems);
 
     const contentWidth = maxX - minX;
     const contentHeight = maxY - minY;
@@ -323,6 +298,58 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
     setStagePos({ x: newPosX, y: newPosY });
   }, [items, dimensions, handleResetZoom]);
 
+  // Expose the plan image for project thumbnails
+  useImperativeHandle(ref, () => ({
+    getStageImage: () => {
+      const stage = stageRef.current;
+      if (!stage) return null;
+      
+      // Deselect all to hide transformers for clean export
+      setSelectedIds([]);
+      
+      // Wait a tick for the deselection to render
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          // Get the bounding box of all content
+          if (items.length === 0) {
+            resolve(null);
+            return;
+          }
+
+          // Bounds of all items (accounting for rotation and walls) plus padding - shared with the SVG export
+          const area = getExportBounds(items);
+
+          // Export the stage with white background - the area is given in screen pixels, so undo the
+          // current zoom and pan to capture the plan at 2 image pixels per canvas pixel whatever the view
+          const dataURL = stage.toDataURL({
+            x: area.x * zoom + stagePos.x,
+            y: area.y * zoom + stagePos.y,
+            width: area.width * zoom,
+            height: area.height * zoom,
+            pixelRatio: 2 / zoom, // Higher quality
+            mimeType: 'image/png',
+          });
+
+          // Position and size in canvas px
+          resolve({ dataURL, ...area });
+        }, 100);
+      });
+    },
+    getItems: () => items,
+    getDimensions: () => dimensions,
+    fitToScreen: (fitItems) => handleFitToScreen(fitItems),
+    startRoomDrawing: () => {
+      setSelectedIds([]);
+      setMeasurePoints(null);
+      setDrawingPoints([]);
+    },
+    getView: () => ({ zoom, stagePos }),
+    setView: (view) => {
+      setZoom(Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom)));
+      setStagePos({ x: view.stagePos.x, y: view.stagePos.y });
+    },
+  }));
+
   // Cursor handling for better UX
   const setCursor = (cursor) => {
     if (containerRef.current) {
@@ -363,10 +390,10 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
     const pointerPos = stage.getPointerPosition() || { x: 100, y: 100 };
     
     // Adjust for zoom and pan
-    const pos = {
+    const pos = snapPoint({
       x: (pointerPos.x - stagePos.x) / zoom,
       y: (pointerPos.y - stagePos.y) / zoom,
-    };
+    }, e);
     
     const itemData = e.dataTransfer.getData('application/json');
     if (itemData) {
@@ -379,14 +406,125 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
         y: pos.y,
         rotation: 0,
       };
-      setItems((prev) => [...prev, newItem]);
+      // Doors and windows dropped on a wall go into it
+      setItems((prev) => [...prev, isOpeningItem(newItem) ? attachOpening(newItem, pos, prev) : newItem]);
       setSelectedIds([newItem.id]);
     }
   };
 
   const handleDragOver = (e) => e.preventDefault();
 
+  // Room drawing - click corners, finish on the first corner / double-click / Enter
+  const getStagePointer = (stage) => {
+    const pointerPos = stage.getPointerPosition();
+    return {
+      x: (pointerPos.x - stagePos.x) / zoom,
+      y: (pointerPos.y - stagePos.y) / zoom,
+    };
+  };
+
+  const finishRoomDrawing = useCallback((points) => {
+    // Double-clicks land two clicks on the same spot - drop repeated corners
+    const corners = [];
+    for (let i = 0; i < points.length; i += 2) {
+      const last = corners.length - 2;
+      if (last < 0 || Math.hypot(points[i] - corners[last], points[i + 1] - corners[last + 1]) > 1) {
+        corners.push(points[i], points[i + 1]);
+      }
+    }
+    setDrawingPoints(null);
+    setDrawingCursor(null);
+    if (corners.length < 6) return;
+
+    pushHistory();
+    const newItem = createPolygonRoom(corners, {
+      id: crypto.randomUUID(),
+      label: 'Room',
+      wallThickness: mmToPx(DEFAULT_WALL_THICKNESS_MM),
+    });
+    setItems((prev) => [...prev, newItem]);
+    setSelectedIds([newItem.id]);
+  }, [pushHistory, setItems, setSelectedIds]);
+
+  useEffect(() => {
+    if (!isDrawing) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setDrawingPoints(null);
+        setDrawingCursor(null);
+      } else if (e.key === 'Enter') {
+        finishRoomDrawing(drawingPoints);
+      } else if (e.key === 'Backspace' && e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
+        e.preventDefault();
+        setDrawingPoints((prev) => prev.slice(0, -2));
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isDrawing, drawingPoints, finishRoomDrawing]);
+
+  const handleDrawingClick = (stage, evt) => {
+    const pos = snapPoint(getStagePointer(stage), evt);
+    const closes = drawingPoints.length >= 6 &&
+      Math.hypot(pos.x - drawingPoints[0], pos.y - drawingPoints[1]) * zoom <= CLOSE_DISTANCE;
+    if (closes) finishRoomDrawing(drawingPoints);
+    else setDrawingPoints((prev) => [...prev, pos.x, pos.y]);
+  };
+
+  // Measure tool - snaps to corners and edges of rooms and fixtures, then the grid; Alt places freely
+  const getMeasurePoint = (stage, evt) => {
+    const pos = getStagePointer(stage);
+    if (evt.altKey) return pos;
+    return snapToOutlines(pos, items, SNAP_DISTANCE / zoom) || snapPoint(pos, evt);
+  };
+
+  const handleToggleMeasure = () => {
+    setMeasureCursor(null);
+    if (isMeasuring) {
+      setMeasurePoints(null);
+      return;
+    }
+    setSelectedIds([]);
+    setDrawingPoints(null);
+    setMeasurePoints([]);
+  };
+
+  const handleMeasureClick = (stage, evt) => {
+    const pos = getMeasurePoint(stage, evt);
+    if (measurePoints.length === 0) {
+      setMeasurePoints([pos.x, pos.y]);
+      return;
+    }
+    // Each measurement stays on the plan as an annotation - select it and press Delete to remove it
+    setMeasurePoints([]);
+    const start = { x: measurePoints[0], y: measurePoints[1] };
+    if (Math.hypot(pos.x - start.x, pos.y - start.y) < 1) return;
+    pushHistory();
+    const newItem = createMeasureItem(start, pos, { id: crypto.randomUUID(), label: 'Measurement' });
+    setItems((prev) => [...prev, newItem]);
+  };
+
+  useEffect(() => {
+    if (!isMeasuring) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setMeasurePoints(null);
+        setMeasureCursor(null);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isMeasuring]);
+
   const handleStageMouseDown = (e) => {
+    if (isDrawing) {
+      if (e.evt.button === 0 && !e.evt.shiftKey) handleDrawingClick(e.target.getStage(), e.evt);
+      return;
+    }
+    if (isMeasuring) {
+      if (e.evt.button === 0) handleMeasureClick(e.target.getStage(), e.evt);
+      return;
+    }
     if (e.target === e.target.getStage()) {
       const pointerPos = e.target.getStage().getPointerPosition();
       // Convert to stage coordinates
@@ -396,12 +534,23 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
       };
       isSelecting.current = true;
       selectionStart.current = pos;
-      setSelectionRect({ x: pos.x, y: pos.y, width: 0, height: 0 });
+      setSelectionRect({ x: pos.x, y: pos.y, width: 0, height: 0, mode: 'enclosed' });
       if (!e.evt.shiftKey) setSelectedIds([]);
     }
   };
 
   const handleStageMouseMove = (e) => {
+    if (isDrawing) {
+      setDrawingCursor(snapPoint(getStagePointer(e.target.getStage()), e.evt));
+      setCursor('crosshair');
+      return;
+    }
+    if (isMeasuring) {
+      setMeasureCursor(getMeasurePoint(e.target.getStage(), e.evt));
+      setCursor('crosshair');
+      return;
+    }
+
     // Handle selection rectangle
     if (isSelecting.current) {
       const pointerPos = e.target.getStage().getPointerPosition();
@@ -413,7 +562,9 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
       const y = Math.min(pos.y, selectionStart.current.y);
       const width = Math.abs(pos.x - selectionStart.current.x);
       const height = Math.abs(pos.y - selectionStart.current.y);
-      setSelectionRect({ x, y, width, height });
+      // Dragging rightwards picks items wholly inside the box, leftwards anything it touches
+      const mode = pos.x >= selectionStart.current.x ? 'enclosed' : 'touching';
+      setSelectionRect({ x, y, width, height, mode });
       return;
     }
 
@@ -453,14 +604,9 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
 
   const handleStageMouseUp = () => {
     if (isSelecting.current && selectionRect && selectionRect.width > 5 && selectionRect.height > 5) {
-      const selected = items.filter(item => {
-        // If room is locked, it cannot be selected via box
-        if (isRoomLocked && item.type.startsWith('room')) return false;
-
-        const r = { x: item.x, y: item.y, width: item.width, height: item.height };
-        const s = selectionRect;
-        return !(r.x + r.width < s.x || r.x > s.x + s.width || r.y + r.height < s.y || r.y > s.y + s.height);
-      }).map(i => i.id);
+      // If room is locked, it cannot be selected via box
+      const selectable = items.filter(item => !(isRoomLocked && item.type.startsWith('room')));
+      const selected = getItemsInRect(selectable, selectionRect, selectionRect.mode).map(i => i.id);
       setSelectedIds(prev => [...new Set([...prev, ...selected])]);
     }
     isSelecting.current = false;
@@ -485,6 +631,36 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
       positions[id] = { x: e.target.x(), y: e.target.y() };
     }
     dragStartPositions.current = positions;
+    lastFreePosition.current = positions[id];
+  };
+
+  // Where a lone fixture dragged towards `position` should stop so it doesn't overlap anything
+  const stopBeforeOverlap = (item, position, rotation) => {
+    const collides = (point) => items.some((other) => fixturesCollide({ ...item, ...point, rotation }, other));
+    const last = lastFreePosition.current;
+    if (!collides(position)) {
+      lastFreePosition.current = position;
+      return position;
+    }
+    // Already overlapping - let it be dragged clear
+    if (!last || collides(last)) return position;
+
+    // Slide along whatever is in the way where possible, otherwise stop just short of it
+    const slides = [{ x: position.x, y: last.y }, { x: last.x, y: position.y }].filter((point) => !collides(point));
+    let stopped = slides.sort((a, b) => Math.hypot(b.x - last.x, b.y - last.y) - Math.hypot(a.x - last.x, a.y - last.y))[0];
+    if (!stopped) {
+      const along = (t) => ({ x: last.x + (position.x - last.x) * t, y: last.y + (position.y - last.y) * t });
+      let free = 0;
+      let blocked = 1;
+      for (let i = 0; i < 12; i++) {
+        const mid = (free + blocked) / 2;
+        if (collides(along(mid))) blocked = mid;
+        else free = mid;
+      }
+      stopped = along(free);
+    }
+    lastFreePosition.current = stopped;
+    return stopped;
   };
 
   const handleItemDragMove = (e) => {
@@ -492,8 +668,72 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
     const startPos = dragStartPositions.current[id];
     if (!startPos) return;
 
+    const item = items.find(i => i.id === id);
+    const movingIds = Object.keys(dragStartPositions.current);
+    const isAlone = movingIds.length === 1;
+
+    // A door or window dragged on its own slides along whichever wall is under the pointer
+    if (item && isOpeningItem(item) && isAlone) {
+      const placed = attachOpening(item, getStagePointer(e.target.getStage()), items);
+      if (placed.hostId) {
+        e.target.position({ x: placed.x, y: placed.y });
+        e.target.rotation(placed.rotation);
+        setGuides({ lines: [], gaps: [], moved: { [id]: placed } });
+        return;
+      }
+      e.target.rotation(item.rotation || 0);
+    }
+
+    // A fixture dragged on its own snaps to walls and neighbouring fixtures - hold Alt to place it freely
+    let free = { x: true, y: true };
+    let isMagnetised = false;
+    if (item && !isRoomItem(item) && !isOpeningItem(item) && !isMeasureItem(item) && isAlone) {
+      const dragged = { ...item, x: e.target.x(), y: e.target.y() };
+      const snap = e.evt.altKey ? { item: dragged, free } : snapFixture(dragged, items, SNAP_DISTANCE / zoom);
+      e.target.position({ x: snap.item.x, y: snap.item.y });
+      e.target.rotation(snap.item.rotation || 0);
+      isMagnetised = snap.item !== dragged;
+      free = snap.free;
+    }
+
+    // Everything being dragged, at the dragged node's current position
+    const getMovingBounds = () => getPointsBounds(movingIds.flatMap((movingId) => {
+      const moving = items.find(i => i.id === movingId);
+      const start = dragStartPositions.current[movingId];
+      if (!moving) return [];
+      return getItemFootprint({
+        ...moving,
+        x: start.x + e.target.x() - startPos.x,
+        y: start.y + e.target.y() - startPos.y,
+        rotation: movingId === id ? e.target.rotation() : moving.rotation,
+      });
+    }));
+
+    // Line up with other items' edges and centres, falling back to the grid on axes with nothing to line up with
+    const targets = getAlignmentTargets(items, movingIds);
+    if (!e.evt.altKey) {
+      const align = getAlignmentSnap(getMovingBounds(), targets, SNAP_DISTANCE / zoom);
+      const onGrid = snapPoint(e.target.position(), e.evt);
+      const pick = (axis, shift) => {
+        if (!free[axis]) return e.target[axis]();
+        if (shift !== null) return e.target[axis]() + shift;
+        return isMagnetised ? e.target[axis]() : onGrid[axis];
+      };
+      e.target.position({ x: pick('x', align.dx), y: pick('y', align.dy) });
+    }
+    if (preventOverlap && item && isAlone && !isRoomItem(item) && !isOpeningItem(item) && !isMeasureItem(item)) {
+      e.target.position(stopBeforeOverlap(item, e.target.position(), e.target.rotation()));
+    }
+    const bounds = getMovingBounds();
     const dx = e.target.x() - startPos.x;
     const dy = e.target.y() - startPos.y;
+    // Where everything being dragged is now, so clearance zones can follow along
+    const moved = Object.fromEntries(movingIds.map((movingId) => {
+      const start = dragStartPositions.current[movingId];
+      const position = { x: start.x + dx, y: start.y + dy };
+      return [movingId, movingId === id ? { ...position, rotation: e.target.rotation() } : position];
+    }));
+    setGuides({ lines: getAlignmentGuides(bounds, targets), gaps: getNeighbourGaps(bounds, targets), moved });
 
     selectedIds.forEach(itemId => {
       if (itemId !== id) {
@@ -514,37 +754,78 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
     if (startPos) {
       const dx = e.target.x() - startPos.x;
       const dy = e.target.y() - startPos.y;
+      const starts = dragStartPositions.current;
+      const movedIds = Object.keys(starts);
+      const pointer = getStagePointer(e.target.getStage());
+      // Snapping may have turned the dragged item to face into the room
+      const rotation = e.target.rotation();
+
+      setItems(prev => {
+        const moved = prev.map(item => {
+          if (selectedIds.includes(item.id) || item.id === id) {
+            return {
+              ...item,
+              x: starts[item.id] ? starts[item.id].x + dx : item.x,
+              y: starts[item.id] ? starts[item.id].y + dy : item.y,
+              ...(item.id === id && movedIds.length === 1 && { rotation }),
+            };
+          }
+          return item;
+        });
 
-      setItems(prev => prev.map(item => {
-        if (selectedIds.includes(item.id) || item.id === id) {
-          return {
-            ...item,
-            x: dragStartPositions.current[item.id] ? dragStartPositions.current[item.id].x + dx : item.x,
-            y: dragStartPositions.current[item.id] ? dragStartPositions.current[item.id].y + dy : item.y,
-          };
+        if (movedIds.length === 1 && isOpeningItem(moved.find(item => item.id === id))) {
+          return moved.map(item => (item.id === id ? attachOpening(item, pointer, moved) : item));
         }
-        return item;
-      }));
+
+        // Fixtures dropped into a wall go back to its inner face (doors and windows sit in the wall, so are left alone)
+        if (moved.some(item => movedIds.includes(item.id) && isRoomItem(item))) return moved;
+        return moved.map(item => {
+          if (!movedIds.includes(item.id) || isOpeningItem(item) || isMeasureItem(item)) return item;
+          const room = findContainingRoom(item, moved);
+          return room ? keepInsideRoom(item, room) : item;
+        });
+      });
     }
     dragStartPositions.current = {};
+    setGuides(null);
   };
 
 
   const sortedItems = [...items].sort((a, b) => {
     const getOrder = (t) => {
       if (t.startsWith('room')) return 0;
-      if (['shower-head', 'mirror'].includes(t)) return 2;
+      if (['shower-head', 'mirror', 'light'].includes(t)) return 2;
+      if (t === 'measure') return 3;
       return 1;
     };
     return getOrder(a.type) - getOrder(b.type);
   });
 
-  // Calculate grid for current zoom
-  const scaledGridSize = GRID_SIZE;
-  const gridStartX = Math.floor(-stagePos.x / zoom / scaledGridSize) * scaledGridSize;
-  const gridStartY = Math.floor(-stagePos.y / zoom / scaledGridSize) * scaledGridSize;
-  const gridEndX = gridStartX + Math.ceil(dimensions.width / zoom / scaledGridSize + 2) * scaledGridSize;
-  const gridEndY = gridStartY + Math.ceil(dimensions.height / zoom / scaledGridSize + 2) * scaledGridSize;
+  // Grid for current zoom
+  const gridSteps = getGridSteps(grid.spacingMm, zoom);
+
+  // Distances from a single selected fixture to the walls around it and its nearest neighbour
+  const selectedItem = selectedIds.length === 1 ? items.find(item => item.id === selectedIds[0]) : null;
+  const clearanceItem = selectedItem && !isRoomItem(selectedItem) && !isMeasureItem(selectedItem) && !selectedItem.hostId && !guides && !isDrawing
+    ? selectedItem
+    : null;
+  const clearances = clearanceItem ? getClearances(clearanceItem, items) : [];
+
+  // Clearance zone and overlap warnings come worked out from App, except mid-drag when they follow the moved items
+  const liveItems = guides?.moved ? items.map(item => (guides.moved[item.id] ? { ...item, ...guides.moved[item.id] } : item)) : null;
+  const zoneConflicts = showZones ? (liveItems ? getClearanceZoneConflicts(liveItems) : planZoneConflicts) : {};
+  // Fixtures overlapping another fixture or running into a wall
+  const collidingIds = (liveItems ? getCollisions(liveItems) : collisions)
+    .flatMap((collision) => (collision.kind === 'wall' ? [collision.ids[0]] : collision.ids));
+
+  const handleApplyClearance = () => {
+    const { clearance, value } = editingClearance;
+    const lengthMm = parseInt(value);
+    setEditingClearance(null);
+    if (!clearanceItem || !(lengthMm >= 0)) return;
+    pushHistory();
+    setItems(prev => prev.map(item => (item.id === clearanceItem.id ? setClearance(item, clearance, mmToPx(lengthMm)) : item)));
+  };
 
   return (
     <div
@@ -570,6 +851,17 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
           zIndex: 10,
         }}
       >
+        <button
+          id="btn-measure"
+          className={`zoom-btn${isMeasuring ? ' active' : ''}`}
+          onClick={handleToggleMeasure}
+          title={isMeasuring ? 'Stop Measuring (Esc)' : 'Measure'}
+        >
+          <Ruler style={{ width: '16px', height: '16px' }} />
+        </button>
+
+        <div className="zoom-divider" />
+
         <button
           className="zoom-btn"
           onClick={handleZoomOut}
@@ -596,7 +888,7 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
         
         <button
           className="zoom-btn"
-          onClick={handleFitToScreen}
+          onClick={() => handleFitToScreen()}
           title="Fit to Screen"
         >
           <Maximize style={{ width: '16px', height: '16px' }} />
@@ -609,6 +901,56 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
         >
           <RotateCcw style={{ width: '16px', height: '16px' }} />
         </button>
+
+        <div className="zoom-divider" />
+
+        <select
+          id="grid-spacing"
+          className="zoom-select"
+          value={grid.spacingMm}
+          onChange={(e) => setGrid((prev) => ({ ...prev, spacingMm: Number(e.target.value) }))}
+          title="Grid spacing"
+        >
+          {GRID_SPACINGS_MM.map((mm) => (
+            <option key={mm} value={mm}>{mm} mm</option>
+          ))}
+        </select>
+
+        <button
+          id="btn-snap-grid"
+          className={`zoom-btn${grid.snap ? ' active' : ''}`}
+          onClick={() => setGrid((prev) => ({ ...prev, snap: !prev.snap }))}
+          title={grid.snap ? 'Snap to Grid: On (hold Alt to place freely)' : 'Snap to Grid: Off'}
+        >
+          <Magnet style={{ width: '16px', height: '16px' }} />
+        </button>
+
+        <button
+          id="btn-clearance-zones"
+          className={`zoom-btn${showZones ? ' active' : ''}`}
+          onClick={() => setShowZones((prev) => !prev)}
+          title={showZones ? 'Hide Clearance Zones' : 'Show Clearance Zones'}
+        >
+          <SquareDashed style={{ width: '16px', height: '16px' }} />
+        </button>
+
+        <button
+          id="btn-electrical-zones"
+          className={`zoom-btn${showElectricalZones ? ' active' : ''}`}
+          onClick={() => setShowElectricalZones((prev) => !prev)}
+          title={showElectricalZones ? 'Hide Electrical Zones' : 'Show Electrical Zones'}
+        >
+          <Zap style={{ width: '16px', height: '16px' }} />
+        </button>
+
+        <button
+          id="btn-prevent-overlap"
+          className={`zoom-btn${preventOverlap ? ' active' : ''}`}
+          onClick={() => setPreventOverlap((prev) => !prev)}
+          title={preventOverlap ? 'Prevent Overlap: On' : 'Prevent Overlap: Off'}
+        >
+          <ShieldBan style={{ width: '16px', height: '16px' }} />
+        </button>
       </div>
 
       {/* Zoom hint */}
@@ -630,6 +972,120 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
         <span style={{ opacity: 0.7 }}>Scroll to pan • ⌘/Ctrl + Scroll to zoom</span>
       </div>
 
+      {/* Room drawing hint */}
+      {isDrawing && (
+        <div
+          id="draw-room-hint"
+          style={{
+            position: 'absolute',
+            top: '16px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 10,
+            fontSize: '12px',
+            padding: '8px 14px',
+            borderRadius: '10px',
+            background: 'var(--bg-glass)',
+            backdropFilter: 'blur(10px)',
+            color: 'var(--text-secondary)',
+            border: '1px solid rgba(255, 102, 0, 0.4)',
+            boxShadow: 'var(--shadow-md)',
+          }}
+        >
+          Click to place each corner • Click the first corner, double-click or press Enter to finish • Backspace undoes a corner • Esc cancels
+        </div>
+      )}
+
+      {/* Electrical zones key */}
+      {showElectricalZones && (
+        <div
+          id="electrical-zones-legend"
+          style={{
+            position: 'absolute',
+            bottom: '70px',
+            right: '80px',
+            zIndex: 10,
+            display: 'flex',
+            alignItems: 'center',
+            gap: '10px',
+            fontSize: '11px',
+            fontWeight: 600,
+            padding: '6px 12px',
+            borderRadius: '8px',
+            background: 'var(--bg-glass)',
+            backdropFilter: 'blur(10px)',
+            color: 'var(--text-secondary)',
+            border: '1px solid var(--border-glass)',
+          }}
+        >
+          {ELECTRICAL_ZONE_FILLS.map((fill, zone) => (
+            <span key={zone} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <span style={{ width: '12px', height: '12px', borderRadius: '3px', background: fill, border: '1px solid #3b82f6' }} />
+              Zone {zone}
+            </span>
+          ))}
+          {electricalBreachIds.length > 0 && <span style={{ color: '#ef4444' }}>{electricalBreachIds.length} not allowed</span>}
+        </div>
+      )}
+
+      {/* Measure tool hint */}
+      {isMeasuring && (
+        <div
+          id="measure-hint"
+          style={{
+            position: 'absolute',
+            top: '16px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 10,
+            fontSize: '12px',
+            padding: '8px 14px',
+            borderRadius: '10px',
+            background: 'var(--bg-glass)',
+            backdropFilter: 'blur(10px)',
+            color: 'var(--text-secondary)',
+            border: '1px solid rgba(14, 165, 233, 0.4)',
+            boxShadow: 'var(--shadow-md)',
+          }}
+        >
+          Click two points to measure - each measurement is kept on the plan • Hold Alt to skip snapping • Esc finishes
+        </div>
+      )}
+
+      {editingClearance && (
+        <input
+          id="clearance-input"
+          type="number"
+          autoFocus
+          value={editingClearance.value}
+          onChange={(e) => setEditingClearance({ ...editingClearance, value: e.target.value })}
+          onBlur={handleApplyClearance}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleApplyClearance();
+            if (e.key === 'Escape') setEditingClearance(null);
+          }}
+          min="0"
+          step="10"
+          style={{
+            position: 'absolute',
+            left: `${((editingClearance.clearance.points[0] + editingClearance.clearance.points[2]) / 2) * zoom + stagePos.x - 40}px`,
+            top: `${((editingClearance.clearance.points[1] + editingClearance.clearance.points[3]) / 2) * zoom + stagePos.y - 14}px`,
+            width: '80px',
+            zIndex: 20,
+            padding: '4px 6px',
+            borderRadius: '6px',
+            border: '1px solid #0ea5e9',
+            background: 'var(--bg-item)',
+            color: 'var(--text-primary)',
+            fontSize: '12px',
+            fontWeight: 600,
+            textAlign: 'center',
+            outline: 'none',
+            boxShadow: 'var(--shadow-md)',
+          }}
+        />
+      )}
+
       <Stage
         width={dimensions.width}
         height={dimensions.height}
@@ -646,29 +1102,14 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
         onTouchStart={handleStageMouseDown}
         onTouchMove={handleStageMouseMove}
         onTouchEnd={handleStageMouseUp}
+        onDblClick={() => isDrawing && finishRoomDrawing(drawingPoints)}
       >
         <Layer>
           {/* Grid - Subtle and elegant */}
-          <Group>
-            {Array.from({ length: Math.ceil((gridEndX - gridStartX) / scaledGridSize) + 1 }).map((_, i) => (
-              <Line
-                key={`v-${i}`}
-                points={[gridStartX + i * scaledGridSize, gridStartY, gridStartX + i * scaledGridSize, gridEndY]}
-                stroke={colors.gridColor}
-                strokeWidth={1 / zoom}
-                listening={false}
-              />
-            ))}
-            {Array.from({ length: Math.ceil((gridEndY - gridStartY) / scaledGridSize) + 1 }).map((_, i) => (
-              <Line
-                key={`h-${i}`}
-                points={[gridStartX, gridStartY + i * scaledGridSize, gridEndX, gridStartY + i * scaledGridSize]}
-                stroke={colors.gridColor}
-                strokeWidth={1 / zoom}
-                listening={false}
-              />
-            ))}
-          </Group>
+          {gridSteps.minor && (
+            <GridLines step={gridSteps.minor} stagePos={stagePos} zoom={zoom} dimensions={dimensions} color={colors.gridMinorColor} />
+          )}
+          <GridLines step={gridSteps.major} stagePos={stagePos} zoom={zoom} dimensions={dimensions} color={colors.gridColor} />
 
           {sortedItems.map((item) => {
             const isLocked = isRoomLocked && item.type.startsWith('room');
@@ -678,6 +1119,11 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
                 item={item}
                 isSelected={selectedIds.includes(item.id)}
                 isLocked={isLocked}
+                isDisabled={isDrawing || isMeasuring}
+                snapStep={grid.snap ? gridSize : null}
+                zoneItem={showZones ? { ...item, ...guides?.moved?.[item.id] } : null}
+                zoneConflicts={zoneConflicts[item.id]}
+                isColliding={collidingIds.includes(item.id)}
                 colors={colors}
                 onSelect={(e) => {
                   if (isLocked) return;
@@ -695,6 +1141,57 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
             );
           })}
 
+          {showElectricalZones && (
+            <ElectricalZonesOverlay items={items} breachIds={electricalBreachIds} zoom={zoom} />
+          )}
+
+          {/* Room being drawn */}
+          {isDrawing && (
+            <DrawingPreview
+              points={drawingCursor ? [...drawingPoints, drawingCursor.x, drawingCursor.y] : drawingPoints}
+              zoom={zoom}
+            />
+          )}
+
+          {/* Measurement in progress */}
+          {isMeasuring && (
+            <MeasurePreview start={measurePoints} cursor={measureCursor} zoom={zoom} />
+          )}
+
+          {/* Distances to the walls and nearest fixture - click one to type an exact distance */}
+          {clearances.map((clearance) => (
+            <ClearanceDimension
+              key={`${clearance.kind}-${clearance.side}`}
+              clearance={clearance}
+              zoom={zoom}
+              onEdit={() => setEditingClearance({ clearance, value: pxToMm(clearance.length).toString() })}
+            />
+          ))}
+
+          {/* Alignment guides and gaps to neighbours while dragging */}
+          {guides && (
+            <Group listening={false}>
+              {guides.lines.map((points, i) => (
+                <Line key={`guide-${i}`} points={points} stroke="#ec4899" strokeWidth={1 / zoom} dash={[4 / zoom, 4 / zoom]} />
+              ))}
+              {guides.gaps.map((gap, i) => (
+                <Group key={`gap-${i}`}>
+                  <Line points={gap.points} stroke="#ec4899" strokeWidth={1 / zoom} />
+                  <Text
+                    x={(gap.points[0] + gap.points[2]) / 2 - 40 / zoom}
+                    y={(gap.points[1] + gap.points[3]) / 2 - 14 / zoom}
+                    width={80 / zoom}
+                    align="center"
+                    text={`${pxToMm(gap.length)} mm`}
+                    fontSize={11 / zoom}
+                    fontStyle="bold"
+                    fill="#ec4899"
+                  />
+                </Group>
+              ))}
+            </Group>
+          )}
+
           {selectionRect && (
             <Rect
               x={selectionRect.x}
@@ -704,7 +1201,8 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
               fill="rgba(255, 102, 0, 0.08)"
               stroke="#ff6600"
               strokeWidth={1.5 / zoom}
-              dash={[6, 4]}
+              // Solid while enclosing, dashed while picking anything touched
+              dash={selectionRect.mode === 'touching' ? [6, 4] : undefined}
               cornerRadius={4}
               listening={false}
             />
@@ -713,7 +1211,7 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
       </Stage>
 
       {/* Empty State - Modern & Friendly */}
-      {items.length === 0 && (
+      {items.length === 0 && !isDrawing && !isMeasuring && (
         <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
           <div className="text-center max-w-sm px-8 py-10 glass-card rounded-3xl shadow-2xl animate-fade-in">
             <div className="w-16 h-16 mx-auto mb-5 rounded-2xl bg-gradient-to-br from-[var(--primary-light)] to-white flex items-center justify-center border border-[var(--primary)]/10">
@@ -725,6 +1223,16 @@ export const CanvasEditor = forwardRef(function CanvasEditor({ items, setItems,
             <p className="text-sm text-[var(--text-secondary)] leading-relaxed">
               Drag elements from the sidebar or click to add them to your bathroom design
             </p>
+            {onBrowseTemplates && (
+              <button
+                id="btn-empty-templates"
+                className="btn-primary mt-5 inline-flex items-center gap-2 pointer-events-auto"
+                onClick={onBrowseTemplates}
+              >
+                <LayoutTemplate className="w-4 h-4" />
+                <span>Start from a template</span>
+              </button>
+            )}
             <div className="mt-5 flex items-center justify-center gap-2 text-xs text-[var(--text-muted)]">
               <MousePointer2 className="w-3.5 h-3.5" />
               <span>Click and drag to select multiple</span>
@@ -866,15 +1374,179 @@ const SinkShape = ({ width, height, colors }) => (
   </Group>
 );
 
-const getLShapePoints = (width, height) => {
-  const cutWidth = width * 0.4;
-  const cutHeight = height * 0.4;
-  return [0, 0, width, 0, width, height - cutHeight, width - cutWidth, height - cutHeight, width - cutWidth, height, 0, height];
+// Outline of a room being drawn, with each wall's length
+const DrawingPreview = ({ points, zoom }) => (
+  <Group listening={false}>
+    <Line points={points} stroke="#ff6600" strokeWidth={2 / zoom} dash={[8 / zoom, 4 / zoom]} />
+    {getWallLengths(points).slice(0, -1).map((length, i) => (
+      <Text
+        key={`len-${i}`}
+        x={(points[i * 2] + points[i * 2 + 2]) / 2}
+        y={(points[i * 2 + 1] + points[i * 2 + 3]) / 2 - 16 / zoom}
+        text={`${pxToMm(length)} mm`}
+        fontSize={11 / zoom}
+        fontStyle="bold"
+        fill="#ff6600"
+      />
+    ))}
+    {Array.from({ length: points.length / 2 }).map((_, i) => (
+      <Circle
+        key={`corner-${i}`}
+        x={points[i * 2]}
+        y={points[i * 2 + 1]}
+        radius={(i === 0 ? 6 : 4) / zoom}
+        fill={i === 0 ? '#ff6600' : '#ffffff'}
+        stroke="#ff6600"
+        strokeWidth={1.5 / zoom}
+      />
+    ))}
+  </Group>
+);
+
+// Live measuring line from the first point to the cursor
+const MeasurePreview = ({ start, cursor, zoom }) => {
+  if (!cursor) return null;
+  if (start.length === 0) {
+    return <Circle x={cursor.x} y={cursor.y} radius={4 / zoom} fill="#0ea5e9" listening={false} />;
+  }
+  const length = Math.hypot(cursor.x - start[0], cursor.y - start[1]);
+  return (
+    <Group listening={false}>
+      <Line points={[...start, cursor.x, cursor.y]} stroke="#0ea5e9" strokeWidth={2 / zoom} dash={[6 / zoom, 4 / zoom]} />
+      <Circle x={start[0]} y={start[1]} radius={4 / zoom} fill="#0ea5e9" />
+      <Circle x={cursor.x} y={cursor.y} radius={4 / zoom} fill="#0ea5e9" />
+      <Text
+        x={cursor.x + 10 / zoom}
+        y={cursor.y + 10 / zoom}
+        text={`${pxToMm(length)} mm`}
+        fontSize={12 / zoom}
+        fontStyle="bold"
+        fill="#0ea5e9"
+      />
+    </Group>
+  );
 };
 
-const DraggableItem = ({ item, isSelected, isLocked, colors, onSelect, onDragStart, onDragMove, onDragEnd, onChange }) => {
+// Electrical zones shaded over the plan, each kept to the floor of the room it's in.
+// Items that aren't allowed where they are get a red outline.
+const ElectricalZonesOverlay = ({ items, breachIds, zoom }) => {
+  const zones = getElectricalZones(items).sort((a, b) => b.zone - a.zone);
+  return (
+    <Group listening={false}>
+      {zones.map((zone, i) => {
+        const source = items.find((item) => item.id === zone.sourceId);
+        const room = findContainingRoom(source, items);
+        const floor = room ? toCanvasPoints(room, getRoomOutline(room)) : null;
+        const clipToFloor = (ctx) => {
+          ctx.beginPath();
+          ctx.moveTo(floor[0], floor[1]);
+          for (let j = 2; j < floor.length; j += 2) ctx.lineTo(floor[j], floor[j + 1]);
+          ctx.closePath();
+        };
+        return (
+          <Group key={`zone-${i}`} clipFunc={floor ? clipToFloor : undefined}>
+            <Line
+              points={zone.points}
+              closed
+              fill={ELECTRICAL_ZONE_FILLS[zone.zone]}
+              stroke="#3b82f6"
+              strokeWidth={1 / zoom}
+              dash={[4 / zoom, 4 / zoom]}
+            />
+          </Group>
+        );
+      })}
+      {items.filter((item) => breachIds.includes(item.id)).map((item) => (
+        <Line
+          key={`breach-${item.id}`}
+          points={getItemFootprint(item)}
+          closed
+          fill="rgba(239, 68, 68, 0.2)"
+          stroke="#ef4444"
+          strokeWidth={2 / zoom}
+        />
+      ))}
+    </Group>
+  );
+};
+
+// Dimension line from a selected fixture to a wall or neighbour, labelled in mm
+const ClearanceDimension = ({ clearance, zoom, onEdit }) => {
+  const [x1, y1, x2, y2] = clearance.points;
+  const color = clearance.kind === 'wall' ? '#0ea5e9' : '#8b5cf6';
+  const label = `${pxToMm(clearance.length)} mm`;
+  const labelWidth = 56 / zoom;
+  const labelHeight = 18 / zoom;
+  return (
+    <Group>
+      <Arrow
+        points={clearance.points}
+        stroke={color}
+        fill={color}
+        strokeWidth={1 / zoom}
+        pointerLength={6 / zoom}
+        pointerWidth={6 / zoom}
+        pointerAtBeginning
+        listening={false}
+      />
+      <Group
+        x={(x1 + x2) / 2 - labelWidth / 2}
+        y={(y1 + y2) / 2 - labelHeight / 2}
+        onClick={onEdit}
+        onTap={onEdit}
+      >
+        <Rect width={labelWidth} height={labelHeight} fill="#ffffff" stroke={color} strokeWidth={1 / zoom} cornerRadius={4 / zoom} />
+        <Text
+          width={labelWidth}
+          height={labelHeight}
+          align="center"
+          verticalAlign="middle"
+          text={label}
+          fontSize={10 / zoom}
+          fontStyle="bold"
+          fill={color}
+        />
+      </Group>
+    </Group>
+  );
+};
+
+// One set of grid lines covering the visible part of the canvas
+const GridLines = ({ step, stagePos, zoom, dimensions, color }) => {
+  const startX = Math.floor(-stagePos.x / zoom / step) * step;
+  const startY = Math.floor(-stagePos.y / zoom / step) * step;
+  const endX = startX + Math.ceil(dimensions.width / zoom / step + 2) * step;
+  const endY = startY + Math.ceil(dimensions.height / zoom / step + 2) * step;
+  return (
+    <Group listening={false}>
+      {Array.from({ length: Math.ceil((endX - startX) / step) + 1 }).map((_, i) => (
+        <Line
+          key={`v-${i}`}
+          points={[startX + i * step, startY, startX + i * step, endY]}
+          stroke={color}
+          strokeWidth={1 / zoom}
+          listening={false}
+        />
+      ))}
+      {Array.from({ length: Math.ceil((endY - startY) / step) + 1 }).map((_, i) => (
+        <Line
+          key={`h-${i}`}
+          points={[startX, startY + i * step, endX, startY + i * step]}
+          stroke={color}
+          strokeWidth={1 / zoom}
+          listening={false}
+        />
+      ))}
+    </Group>
+  );
+};
+
+const DraggableItem = ({ item: savedItem, isSelected, isLocked, isDisabled, snapStep, zoneItem, zoneConflicts, isColliding, colors, onSelect, onDragStart, onDragMove, onDragEnd, onChange }) => {
   const shapeRef = useRef();
   const trRef = useRef();
+  // L cut-out size while its handle is being dragged, saved on release
+  const [cutDraft, setCutDraft] = useState(null);
+  const item = cutDraft ? { ...savedItem, ...cutDraft } : savedItem;
 
   useEffect(() => {
     if (isSelected && !isLocked && trRef.current && shapeRef.current) {
@@ -883,10 +1555,16 @@ const DraggableItem = ({ item, isSelected, isLocked, colors, onSelect, onDragSta
     }
   }, [isSelected, isLocked]);
 
-  const isRoom = item.type?.startsWith('room');
-  const isLShape = item.type === 'room-l';
+  const isRoom = isRoomItem(item);
+  const wallThickness = isRoom ? getWallThickness(item) : 0;
   const widthMm = pxToMm(item.width);
   const heightMm = pxToMm(item.height);
+  const roomOutline = isRoom ? getRoomOutline(item) : null;
+  const wallOutline = isRoom ? offsetPolygon(roomOutline, wallThickness) : null;
+  const external = isRoom ? getPointsBounds(wallOutline) : null;
+  const showWallLengths = (item.type === 'room-polygon' && isSelected) || (item.type === 'room-l' && !isLocked);
+  const cutPoint = item.type === 'room-l' ? getLCutPoint(item) : null;
+  const zone = zoneItem && !isRoom ? getClearanceZone(zoneItem) : null;
 
   const renderShape = () => {
     if (item.type === 'bath') return <BathShape width={item.width} height={item.height} colors={colors} />;
@@ -918,6 +1596,40 @@ const DraggableItem = ({ item, isSelected, isLocked, colors, onSelect, onDragSta
         />
       </Group>
     );
+    if (item.type === 'towel-rail') return (
+      <Group>
+        <Rect
+          width={item.width}
+          height={item.height}
+          fill={colors.shapeFill}
+          stroke="#f59e0b"
+          strokeWidth={2}
+          cornerRadius={3}
+          shadowColor="rgba(245,158,11,0.2)"
+          shadowBlur={8}
+          shadowOffsetY={2}
+        />
+        {/* Rails */}
+        {[0.35, 0.65].map((share) => (
+          <Line
+            key={share}
+            points={[3, item.height * share, item.width - 3, item.height * share]}
+            stroke="#f59e0b"
+            strokeWidth={1}
+          />
+        ))}
+        <Text
+          text="TOWEL RAIL"
+          x={0}
+          y={-14}
+          width={item.width}
+          align="center"
+          fontSize={9}
+          fontStyle="bold"
+          fill="#f59e0b"
+        />
+      </Group>
+    );
     if (item.type === 'cupboard') return (
       <Group>
         <Rect
@@ -950,35 +1662,144 @@ const DraggableItem = ({ item, isSelected, isLocked, colors, onSelect, onDragSta
         />
       </Group>
     );
-    if (item.type === 'door') return (
+    if (item.type === 'door') {
+      const { doorType, hinge } = getDoorSettings(item);
+      const swing = getDoorSwing(item);
+      const toPoint = (angle, length) => [
+        swing.x + Math.cos((angle * Math.PI) / 180) * length,
+        swing.y + Math.sin((angle * Math.PI) / 180) * length,
+      ];
+      return (
+        <Group>
+          {item.hostId && <Rect width={item.width} height={item.height} fill={colors.roomFill} />}
+
+          {/* Sliding pocket: closed position dashed across the opening, leaf slid into the wall */}
+          {doorType === 'pocket' && (
+            <Group>
+              <Rect
+                y={item.height / 2 - 3}
+                width={item.width}
+                height={6}
+                stroke={colors.textColor}
+                strokeWidth={1}
+                dash={[4, 4]}
+              />
+              <Rect
+                x={hinge === 'left' ? -item.width : item.width}
+                y={item.height / 2 - 3}
+                width={item.width}
+                height={6}
+                fill={colors.shapeFill}
+                stroke={colors.textColor}
+                strokeWidth={2}
+                cornerRadius={2}
+              />
+            </Group>
+          )}
+
+          {doorType !== 'pocket' && (
+            <Arc
+              x={swing.x}
+              y={swing.y}
+              innerRadius={0}
+              outerRadius={swing.radius}
+              angle={swing.angle}
+              rotation={Math.min(swing.closedAngle, swing.openAngle)}
+              fill="rgba(255,102,0,0.05)"
+              stroke={colors.textColor}
+              strokeWidth={1}
+              dash={[4, 4]}
+            />
+          )}
+
+          {/* Hinged: one leaf at the opening angle */}
+          {doorType === 'hinged' && (
+            <Rect
+              x={swing.x}
+              y={swing.y}
+              offsetY={3}
+              width={item.width}
+              height={6}
+              fill={colors.shapeFill}
+              stroke={colors.textColor}
+              strokeWidth={2}
+              rotation={swing.openAngle}
+              cornerRadius={2}
+              shadowColor={colors.shapeShadow}
+              shadowBlur={5}
+              shadowOffsetY={2}
+            />
+          )}
+
+          {/* Bi-fold: two half leaves, drawn half folded back towards the hinge */}
+          {doorType === 'bifold' && (
+            <Line
+              points={[
+                swing.x,
+                swing.y,
+                ...toPoint((swing.closedAngle + swing.openAngle) / 2, item.width / 2),
+                ...toPoint(swing.closedAngle, item.width * Math.cos((swing.angle * Math.PI) / 360)),
+              ]}
+              stroke={colors.textColor}
+              strokeWidth={4}
+              lineJoin="round"
+              lineCap="round"
+            />
+          )}
+        </Group>
+      );
+    }
+    if (item.type === 'window') return (
       <Group>
-        <Arc
-          x={0}
-          y={item.height}
-          innerRadius={0}
-          outerRadius={item.width}
-          angle={90}
-          rotation={-90}
-          fill="rgba(255,102,0,0.05)"
-          stroke={colors.textColor}
-          strokeWidth={1}
-          dash={[4, 4]}
-        />
+        {/* Frame across the wall with the glass down the middle */}
         <Rect
-          y={item.height - 5}
           width={item.width}
-          height={6}
+          height={item.height}
           fill={colors.shapeFill}
           stroke={colors.textColor}
-          strokeWidth={2}
-          rotation={-45}
-          cornerRadius={2}
-          shadowColor={colors.shapeShadow}
-          shadowBlur={5}
-          shadowOffsetY={2}
+          strokeWidth={1}
+        />
+        <Line
+          points={[0, item.height / 2, item.width, item.height / 2]}
+          stroke={colors.accentBlueBorder}
+          strokeWidth={3}
         />
       </Group>
     );
+    if (isMeasureItem(item)) {
+      // Keep the reading upright however the line is turned
+      const rotation = ((item.rotation || 0) % 360 + 360) % 360;
+      const isUpsideDown = rotation > 90 && rotation <= 270;
+      return (
+        <Group>
+          <Arrow
+            points={[0, 0, item.width, 0]}
+            stroke="#0ea5e9"
+            fill="#0ea5e9"
+            strokeWidth={2}
+            pointerLength={8}
+            pointerWidth={8}
+            pointerAtBeginning
+            hitStrokeWidth={12}
+          />
+          <Line points={[0, -6, 0, 6]} stroke="#0ea5e9" strokeWidth={2} />
+          <Line points={[item.width, -6, item.width, 6]} stroke="#0ea5e9" strokeWidth={2} />
+          <Text
+            x={item.width / 2}
+            y={isUpsideDown ? 6 : -6}
+            offsetX={60}
+            offsetY={14}
+            width={120}
+            rotation={isUpsideDown ? 180 : 0}
+            align="center"
+            text={`${pxToMm(item.width)} mm`}
+            fontSize={12}
+            fontStyle="bold"
+            fill="#0ea5e9"
+          />
+        </Group>
+      );
+    }
     if (item.type === 'mirror') return (
       <Group>
         <Rect
@@ -1015,6 +1836,18 @@ const DraggableItem = ({ item, isSelected, isLocked, colors, onSelect, onDragSta
         dash={[6, 4]}
       />
     );
+    if (item.type === 'light') {
+      const radius = Math.min(item.width, item.height) / 2;
+      const arm = radius * Math.SQRT1_2;
+      return (
+        <Group x={item.width / 2} y={item.height / 2}>
+          <Circle radius={radius} fill={colors.shapeFill} stroke="#f59e0b" strokeWidth={2} />
+          {/* The plan symbol for a light point */}
+          <Line points={[-arm, -arm, arm, arm]} stroke="#f59e0b" strokeWidth={1.5} />
+          <Line points={[arm, -arm, -arm, arm]} stroke="#f59e0b" strokeWidth={1.5} />
+        </Group>
+      );
+    }
     if (item.type === 'bath-taps') return (
       <Group>
         {/* Mounting bar */}
@@ -1065,9 +1898,24 @@ const DraggableItem = ({ item, isSelected, isLocked, colors, onSelect, onDragSta
 
   return (
     <React.Fragment>
+      {/* Clearance zone - kept outside the fixture's group so it doesn't count towards the transformer's box */}
+      {zone && (
+        <Group x={zoneItem.x} y={zoneItem.y} rotation={zoneItem.rotation || 0} listening={false}>
+          <Rect
+            x={zone.x}
+            y={zone.y}
+            width={zone.width}
+            height={zone.height}
+            fill={zoneConflicts ? 'rgba(239, 68, 68, 0.18)' : colors.zoneFill}
+            stroke={zoneConflicts ? '#ef4444' : colors.zoneStroke}
+            strokeWidth={1}
+            dash={[6, 4]}
+          />
+        </Group>
+      )}
       <Group
         id={item.id}
-        draggable={!isLocked}
+        draggable={!isLocked && !isDisabled}
         onClick={onSelect}
         onTap={onSelect}
         ref={shapeRef}
@@ -1079,72 +1927,138 @@ const DraggableItem = ({ item, isSelected, isLocked, colors, onSelect, onDragSta
         onDragStart={onDragStart}
         onDragMove={onDragMove}
         onDragEnd={onDragEnd}
-        onTransformEnd={() => {
+        onTransformEnd={(e) => {
           const node = shapeRef.current;
           const scaleX = node.scaleX();
           const scaleY = node.scaleY();
           node.scaleX(1);
           node.scaleY(1);
+          let x = node.x();
+          let y = node.y();
+          let width = item.width * scaleX;
+          let height = item.height * scaleY;
+
+          // Snap the dragged edges to the grid - straight ones exactly, turned items just by size
+          if (snapStep && !e.evt?.altKey) {
+            const isSquare = node.rotation() % 360 === 0;
+            if (scaleX !== 1) ({ start: x, size: width } = snapResizedAxis({ start: x, size: width, movedStart: x !== item.x, isSquare }, snapStep));
+            if (scaleY !== 1) ({ start: y, size: height } = snapResizedAxis({ start: y, size: height, movedStart: y !== item.y, isSquare }, snapStep));
+          }
+
+          width = Math.max(15, Math.round(width));
+          height = Math.max(3, Math.round(height));
           onChange({
-            x: node.x(),
-            y: node.y(),
-            width: Math.max(15, Math.round(item.width * scaleX)),
-            height: Math.max(3, Math.round(item.height * scaleY)),
+            ...resizeItem(item, width, height),
+            x,
+            y,
             rotation: node.rotation(),
           });
         }}
-        listening={!isLocked}
+        listening={!isLocked && !isDisabled}
       >
         {isRoom ? (
-          isLShape ? (
-            // L-Shape Room: Clean outline with subtle fill
+          // Room: solid walls around the floor - width/height are the internal (inner face) size
+          <Group>
             <Line
-              points={getLShapePoints(item.width, item.height)}
+              points={wallOutline}
               closed
-              fill={colors.roomFill}
-              stroke={isSelected ? '#ff6600' : colors.roomStroke}
-              strokeWidth={isSelected ? 3 : 2}
+              fill={colors.wallFill}
+              stroke={isSelected ? '#ff6600' : colors.wallStroke}
+              strokeWidth={isSelected ? 3 : 1}
               shadowColor={colors.shapeShadow}
               shadowBlur={20}
               shadowOffsetY={4}
-              cornerRadius={4}
             />
-          ) : (
-            // Square Room
-            <Rect
-              width={item.width}
-              height={item.height}
+            <Line
+              points={roomOutline}
+              closed
               fill={colors.roomFill}
-              stroke={isSelected ? '#ff6600' : colors.roomStroke}
-              strokeWidth={isSelected ? 3 : 2}
-              cornerRadius={4}
-              shadowColor={colors.shapeShadow}
-              shadowBlur={20}
-              shadowOffsetY={4}
+              stroke={colors.wallStroke}
+              strokeWidth={1}
             />
-          )
+            {/* Length of each wall on drawn and L-shaped rooms */}
+            {showWallLengths && getWallLengths(roomOutline).map((length, i) => {
+              const next = (i + 1) % (roomOutline.length / 2);
+              return (
+                <Text
+                  key={`wall-${i}`}
+                  x={(roomOutline[i * 2] + roomOutline[next * 2]) / 2 - 30}
+                  y={(roomOutline[i * 2 + 1] + roomOutline[next * 2 + 1]) / 2 - 6}
+                  width={60}
+                  align="center"
+                  text={`${pxToMm(length)}`}
+                  fontSize={10}
+                  fontStyle="bold"
+                  fill="#ff6600"
+                />
+              );
+            })}
+            {/* Drag the inside corner of an L to resize its cut-out */}
+            {item.type === 'room-l' && isSelected && !isLocked && (
+              <Circle
+                x={cutPoint.x}
+                y={cutPoint.y}
+                radius={8}
+                fill="#ff6600"
+                stroke="#ffffff"
+                strokeWidth={2}
+                draggable
+                onDragStart={(e) => { e.cancelBubble = true; }}
+                onDragMove={(e) => {
+                  e.cancelBubble = true;
+                  const cut = getLCutFromPoint(savedItem, e.target.x(), e.target.y());
+                  setCutDraft(cut);
+                  const point = getLCutPoint({ ...savedItem, ...cut });
+                  e.target.position(point);
+                }}
+                onDragEnd={(e) => {
+                  e.cancelBubble = true;
+                  if (cutDraft) onChange(cutDraft);
+                  setCutDraft(null);
+                }}
+              />
+            )}
+          </Group>
         ) : (
           renderShape()
         )}
 
+        {/* Overlap warning */}
+        {isColliding && (
+          <Rect
+            width={item.width}
+            height={item.height}
+            fill="rgba(239, 68, 68, 0.12)"
+            stroke="#ef4444"
+            strokeWidth={2}
+            dash={[6, 3]}
+            listening={false}
+          />
+        )}
+
         {/* Dimensions - Clean and readable */}
-        {!isLocked && (
+        {!isLocked && !isMeasureItem(item) && (
           <Text
-            text={`${widthMm} × ${heightMm} mm`}
-            y={item.height + 10}
+            text={isRoom
+              ? `${widthMm} × ${heightMm} mm internal\n${pxToMm(external.maxX - external.minX)} × ${pxToMm(external.maxY - external.minY)} mm external`
+              : isOpeningItem(item)
+                ? `${widthMm} mm wide • sill ${getSillHeight(item)} mm`
+                : `${widthMm} × ${heightMm} mm`}
+            y={item.height + wallThickness + 10}
             width={item.width}
             align="center"
             fontSize={11}
+            lineHeight={1.3}
             fontFamily="Plus Jakarta Sans, system-ui, sans-serif"
             fill={colors.textColor}
           />
         )}
 
         {/* Rotation indicator below dimensions when rotated */}
-        {isSelected && !isLocked && item.rotation !== 0 && (
+        {isSelected && !isLocked && !item.hostId && !isMeasureItem(item) && item.rotation !== 0 && (
           <Text
             text={`↻ ${Math.round(item.rotation || 0)}°`}
-            y={item.height + 24}
+            y={item.height + wallThickness + (isRoom ? 40 : 24)}
             width={item.width}
             align="center"
             fontSize={10}
@@ -1170,12 +2084,13 @@ const DraggableItem = ({ item, isSelected, isLocked, colors, onSelect, onDragSta
           borderStroke="#ff6600"
           borderStrokeWidth={2}
           borderDash={[6, 4]}
-          rotateEnabled={true}
+          rotateEnabled={!item.hostId}
           rotationSnaps={[0, 45, 90, 135, 180, 225, 270, 315]}
           rotationSnapTolerance={5}
           rotateAnchorOffset={30}
           rotateAnchorCursor="grab"
-          enabledAnchors={['top-left', 'top-center', 'top-right', 'middle-right', 'bottom-right', 'bottom-center', 'bottom-left', 'middle-left']}
+          // Openings in a wall take its angle and thickness, so only their width can change - as with measurements
+          enabledAnchors={item.hostId || isMeasureItem(item) ? ['middle-left', 'middle-right'] : ['top-left', 'top-center', 'top-right', 'middle-right', 'bottom-right', 'bottom-center', 'bottom-left', 'middle-left']}
         />
       )}
     </React.Fragment>
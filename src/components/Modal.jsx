@@ -0,0 +1,95 @@
+import React, { useEffect } from 'react';
+import { X } from 'lucide-react';
+
+// Shared dialog shell - dimmed backdrop with a glass card, Escape closes
+export function Modal({ id, title, onClose, children, footer, width = 420 }) {
+  useEffect(() => {
+    if (!onClose) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 50,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(0, 0, 0, 0.35)',
+      }}
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget && onClose) onClose();
+      }}
+    >
+      <div
+        id={id}
+        role="dialog"
+        aria-modal="true"
+        className="glass-card animate-fade-in"
+        style={{
+          width: `${width}px`,
+          maxWidth: 'calc(100vw - 32px)',
+          maxHeight: 'calc(100vh - 64px)',
+          display: 'flex',
+          flexDirection: 'column',
+          borderRadius: '16px',
+          overflow: 'hidden',
+        }}
+      >
+        {/* Header */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '14px 18px',
+          borderBottom: '1px solid var(--border-light)',
+        }}>
+          <span style={{ fontSize: '15px', fontWeight: 700, color: 'var(--text-primary)' }}>
+            {title}
+          </span>
+          {onClose && (
+            <button
+              onClick={onClose}
+              style={{
+                background: 'transparent',
+                border: 'none',
+                cursor: 'pointer',
+                padding: '4px',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                borderRadius: '6px',
+              }}
+            >
+              <X style={{ width: '16px', height: '16px', color: 'var(--text-muted)' }} />
+            </button>
+          )}
+        </div>
+
+        {/* Body */}
+        <div style={{ padding: '16px 18px', overflowY: 'auto', fontSize: '13px', color: 'var(--text-secondary)' }}>
+          {children}
+        </div>
+
+        {/* Footer */}
+        {footer && (
+          <div style={{
+            display: 'flex',
+            justifyContent: 'flex-end',
+            gap: '8px',
+            padding: '12px 18px',
+            borderTop: '1px solid var(--border-light)',
+          }}>
+            {footer}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
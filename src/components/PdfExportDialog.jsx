@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Modal } from './Modal';
+import { PDF_SCALES, PAPER_SIZES, NORTH_DIRECTIONS, getPlanFit } from '../utils/pdfExport';
+
+const NORTH_LABELS = { up: 'Up the page', right: 'To the right', down: 'Down the page', left: 'To the left' };
+
+export function PdfExportDialog({ items, initialOptions, onExport, onClose }) {
+  const [options, setOptions] = useState(initialOptions);
+  const fit = getPlanFit(items, options);
+  const setOption = (key, value) => setOptions((prev) => ({ ...prev, [key]: value }));
+
+  const fieldStyle = { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '12px', fontWeight: 600, color: 'var(--text-secondary)' };
+  const selectStyle = {
+    padding: '8px 10px',
+    borderRadius: '8px',
+    border: '1px solid var(--border-item)',
+    background: 'var(--bg-item)',
+    color: 'var(--text-primary)',
+    fontSize: '13px',
+  };
+  const inputStyle = { ...selectStyle, fontFamily: 'inherit', fontWeight: 400 };
+
+  return (
+    <Modal
+      id="pdf-export-dialog"
+      title="Export PDF"
+      onClose={onClose}
+      width={options.pack ? 480 : 420}
+      footer={
+        <>
+          <button className="btn-ghost" onClick={onClose}>Cancel</button>
+          <button className="btn-primary" onClick={() => onExport(options)} disabled={!fit.fits}>Export</button>
+        </>
+      }
+    >
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+        <label style={fieldStyle}>
+          Scale
+          <select id="pdf-scale" value={options.scale} onChange={(e) => setOption('scale', Number(e.target.value))} style={selectStyle}>
+            {PDF_SCALES.map((scale) => (
+              <option key={scale} value={scale}>1:{scale}</option>
+            ))}
+          </select>
+        </label>
+        <label style={fieldStyle}>
+          Paper
+          <select id="pdf-paper" value={options.paper} onChange={(e) => setOption('paper', e.target.value)} style={selectStyle}>
+            {Object.entries(PAPER_SIZES).map(([key, paper]) => (
+              <option key={key} value={key}>{paper.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={fieldStyle}>
+          Orientation
+          <select id="pdf-orientation" value={options.orientation} onChange={(e) => setOption('orientation', e.target.value)} style={selectStyle}>
+            <option value="portrait">Portrait</option>
+            <option value="landscape">Landscape</option>
+          </select>
+        </label>
+        <label style={fieldStyle}>
+          North
+          <select id="pdf-north" value={options.north} onChange={(e) => setOption('north', e.target.value)} style={selectStyle}>
+            {Object.keys(NORTH_DIRECTIONS).map((direction) => (
+              <option key={direction} value={direction}>{NORTH_LABELS[direction]}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <p style={{ margin: '14px 0 0', fontSize: '12px', lineHeight: 1.5, color: fit.fits ? 'var(--text-secondary)' : '#ef4444' }}>
+        The plan is {(fit.widthMm / 1000).toFixed(2)} × {(fit.heightMm / 1000).toFixed(2)} m
+        {fit.fits
+          ? ` and prints ${Math.round(fit.widthMm / options.scale)} × ${Math.round(fit.heightMm / options.scale)} mm at 1:${options.scale}.`
+          : ` - too big for ${PAPER_SIZES[options.paper].label} ${options.orientation} at 1:${options.scale}. Try a smaller scale, A3 or the other orientation.`}
+      </p>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '14px', fontSize: '13px', color: 'var(--text-primary)', cursor: 'pointer' }}>
+        <input id="pdf-pack" type="checkbox" checked={options.pack} onChange={(e) => setOption('pack', e.target.checked)} />
+        Full pack - title page, fixture schedule and notes
+      </label>
+      <p style={{ margin: '6px 0 0 24px', fontSize: '12px', lineHeight: 1.5 }}>
+        Customer, address and revision details for the title block are set in Project Details.
+      </p>
+
+      {options.pack && (
+        <label style={{ ...fieldStyle, marginTop: '12px' }}>
+          Notes
+          <textarea id="pdf-notes" rows={5} value={options.notes} onChange={(e) => setOption('notes', e.target.value)} style={{ ...inputStyle, resize: 'vertical' }} />
+        </label>
+      )}
+    </Modal>
+  );
+}
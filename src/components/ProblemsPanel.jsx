@@ -0,0 +1,95 @@
+import React from 'react';
+import { X, AlertTriangle, AlertCircle, CheckCircle2 } from 'lucide-react';
+
+const SEVERITY_STYLES = {
+  error: { icon: AlertCircle, color: '#ef4444', background: 'rgba(239, 68, 68, 0.08)' },
+  warning: { icon: AlertTriangle, color: '#f59e0b', background: 'rgba(245, 158, 11, 0.08)' },
+};
+
+export function ProblemsPanel({ problems, onSelectProblem, onClose }) {
+  return (
+    <div
+      id="problems-panel"
+      style={{
+        width: '240px',
+        background: 'var(--bg-sidebar)',
+        backdropFilter: 'blur(20px)',
+        WebkitBackdropFilter: 'blur(20px)',
+        borderLeft: '1px solid var(--border-light)',
+        padding: '16px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '12px',
+        height: '100%',
+        overflowY: 'auto',
+      }}
+    >
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingBottom: '12px',
+        borderBottom: '1px solid var(--border-light)',
+      }}>
+        <span style={{
+          fontSize: '13px',
+          fontWeight: 700,
+          color: 'var(--text-primary)',
+        }}>
+          Problems ({problems.length})
+        </span>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            cursor: 'pointer',
+            padding: '4px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            borderRadius: '6px',
+          }}
+        >
+          <X style={{ width: '16px', height: '16px', color: 'var(--text-muted)' }} />
+        </button>
+      </div>
+
+      {problems.length === 0 ? (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: 'var(--text-secondary)' }}>
+          <CheckCircle2 style={{ width: '16px', height: '16px', color: '#22c55e', flexShrink: 0 }} />
+          No problems found in this layout.
+        </div>
+      ) : (
+        problems.map((problem) => {
+          const { icon: Icon, color, background } = SEVERITY_STYLES[problem.severity] || SEVERITY_STYLES.warning;
+          return (
+            <button
+              key={problem.id}
+              onClick={() => onSelectProblem(problem)}
+              title="Select and zoom to the items involved"
+              style={{
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: '8px',
+                padding: '8px 10px',
+                textAlign: 'left',
+                background,
+                border: '1px solid var(--border-item)',
+                borderRadius: '8px',
+                cursor: 'pointer',
+                fontSize: '12px',
+                lineHeight: 1.4,
+                color: 'var(--text-primary)',
+              }}
+            >
+              <Icon style={{ width: '14px', height: '14px', color, flexShrink: 0, marginTop: '2px' }} />
+              {problem.message}
+            </button>
+          );
+        })
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { Modal } from './Modal';
+import { PROJECT_DETAIL_FIELDS, getNextRevision, formatRevisionDate } from '../utils/projectDetails';
+
+const fieldStyle = { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '12px', fontWeight: 600, color: 'var(--text-secondary)' };
+const inputStyle = {
+  padding: '8px 10px',
+  borderRadius: '8px',
+  border: '1px solid var(--border-item)',
+  background: 'var(--bg-item)',
+  color: 'var(--text-primary)',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  fontWeight: 400,
+  outline: 'none',
+};
+
+export function ProjectDetailsDialog({ details, onSave, onClose }) {
+  const [values, setValues] = useState(() => Object.fromEntries(
+    PROJECT_DETAIL_FIELDS.map(({ key }) => [key, details[key] || ''])
+  ));
+  const [revisions, setRevisions] = useState(details.revisions || []);
+  const [description, setDescription] = useState('');
+  const nextRevision = getNextRevision(values.revision);
+
+  const setValue = (key, value) => setValues((prev) => ({ ...prev, [key]: value }));
+
+  // Records the next revision in the history and makes it the current one
+  const handleIssueRevision = () => {
+    setRevisions((prev) => [...prev, { revision: nextRevision, date: new Date().toISOString(), description: description.trim() }]);
+    setValue('revision', nextRevision);
+    setDescription('');
+  };
+
+  const handleSave = () => {
+    const trimmed = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value.trim()]));
+    onSave({ ...trimmed, revision: trimmed.revision.toUpperCase(), revisions });
+  };
+
+  return (
+    <Modal
+      id="project-details-dialog"
+      title="Project Details"
+      width={520}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="btn-ghost" onClick={onClose}>Cancel</button>
+          <button className="btn-primary" onClick={handleSave}>Save</button>
+        </>
+      }
+    >
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+        {PROJECT_DETAIL_FIELDS.map(({ key, label, multiline, placeholder }) => (
+          <label key={key} style={{ ...fieldStyle, gridColumn: multiline ? '1 / -1' : undefined }}>
+            {label}
+            {multiline ? (
+              <textarea
+                id={`project-${key}`}
+                rows={3}
+                value={values[key]}
+                onChange={(e) => setValue(key, e.target.value)}
+                style={{ ...inputStyle, resize: 'vertical' }}
+              />
+            ) : (
+              <input
+                id={`project-${key}`}
+                value={values[key]}
+                placeholder={placeholder}
+                onChange={(e) => setValue(key, e.target.value)}
+                style={inputStyle}
+              />
+            )}
+          </label>
+        ))}
+      </div>
+
+      {/* Revision history */}
+      <div style={{ marginTop: '18px', fontSize: '12px', fontWeight: 700, color: 'var(--text-primary)' }}>
+        Revision History
+      </div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '8px' }}>
+        {revisions.length === 0 && (
+          <div style={{ fontSize: '12px', color: 'var(--text-muted)' }}>No revisions issued yet.</div>
+        )}
+        {revisions.map((entry, index) => (
+          <div
+            key={`${entry.revision}-${index}`}
+            style={{
+              display: 'grid',
+              gridTemplateColumns: '36px 90px 1fr auto',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '6px 8px',
+              borderRadius: '8px',
+              border: '1px solid var(--border-item)',
+              background: 'var(--bg-item)',
+              fontSize: '12px',
+              color: 'var(--text-primary)',
+            }}
+          >
+            <strong>{entry.revision}</strong>
+            <span style={{ color: 'var(--text-secondary)' }}>{formatRevisionDate(entry.date)}</span>
+            <span>{entry.description || '—'}</span>
+            <button
+              onClick={() => setRevisions((prev) => prev.filter((_, i) => i !== index))}
+              title="Remove from history"
+              style={{ background: 'transparent', border: 'none', cursor: 'pointer', padding: '2px', display: 'flex', color: 'var(--text-muted)' }}
+            >
+              <Trash2 style={{ width: '14px', height: '14px' }} />
+            </button>
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
+        <input
+          id="project-revision-description"
+          value={description}
+          placeholder="What changed, e.g. Moved WC to the window wall"
+          onChange={(e) => setDescription(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleIssueRevision()}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button className="btn-ghost" onClick={handleIssueRevision} style={{ whiteSpace: 'nowrap' }}>
+          Issue Rev {nextRevision}
+        </button>
+      </div>
+    </Modal>
+  );
+}
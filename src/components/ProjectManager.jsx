@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FolderOpen, Copy, Pencil, Trash2, Plus, Check, ImageOff } from 'lucide-react';
+import { Modal } from './Modal';
+import { listProjects, updateProject, duplicateProject, deleteProject } from '../utils/projectStore';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 10px',
+  borderRadius: '8px',
+  border: '1px solid var(--border-item)',
+  background: 'var(--bg-item)',
+  color: 'var(--text-primary)',
+  fontSize: '13px',
+  outline: 'none',
+};
+
+const iconButtonStyle = {
+  padding: '6px',
+  borderRadius: '8px',
+  border: '1px solid var(--border-item)',
+  background: 'var(--bg-item)',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  color: 'var(--text-secondary)',
+};
+
+const formatModified = (iso) => iso
+  ? new Date(iso).toLocaleString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '—';
+
+export function ProjectManager({ currentProjectId, canSaveCurrent, onOpen, onCreate, onRenamed, onDeleted, onClose }) {
+  const [projects, setProjects] = useState(null);
+  const [error, setError] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [newCustomer, setNewCustomer] = useState('');
+  const [editing, setEditing] = useState(null); // { id, name, customerName }
+
+  const refresh = useCallback(() => {
+    listProjects()
+      .then((list) => {
+        setProjects(list);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error('Project list error:', err);
+        setError(err.message || 'Could not load saved projects.');
+        setProjects([]);
+      });
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const run = async (action) => {
+    try {
+      await action();
+    } catch (err) {
+      console.error('Project action error:', err);
+      alert(err.message || 'Something went wrong. Please try again.');
+    }
+    refresh();
+  };
+
+  const handleCreate = (fromCurrent) => {
+    const name = newName.trim();
+    if (!name) {
+      alert('Please give the project a name.');
+      return;
+    }
+    onCreate({ name, customerName: newCustomer.trim(), fromCurrent });
+  };
+
+  const handleRename = () => run(async () => {
+    const name = editing.name.trim();
+    if (!name) throw new Error('Please give the project a name.');
+    const existing = projects.find((p) => p.id === editing.id);
+    const customerName = editing.customerName.trim();
+    const record = await updateProject(editing.id, {
+      name,
+      customerName,
+      plan: { ...existing.plan, metadata: { ...existing.plan?.metadata, name, customerName } },
+    });
+    setEditing(null);
+    onRenamed(record);
+  });
+
+  const handleDelete = (project) => {
+    if (!confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+    run(async () => {
+      await deleteProject(project.id);
+      onDeleted(project.id);
+    });
+  };
+
+  return (
+    <Modal id="project-manager" title="Projects" onClose={onClose} width={640}>
+      {/* New project */}
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: '1fr 1fr auto auto',
+        gap: '8px',
+        alignItems: 'center',
+        paddingBottom: '14px',
+        marginBottom: '14px',
+        borderBottom: '1px solid var(--border-light)',
+      }}>
+        <input
+          placeholder="Project name"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          style={inputStyle}
+        />
+        <input
+          placeholder="Customer name"
+          value={newCustomer}
+          onChange={(e) => setNewCustomer(e.target.value)}
+          style={inputStyle}
+        />
+        <button className="btn-ghost" onClick={() => handleCreate(false)} title="Start a new, empty plan">
+          <Plus style={{ width: '14px', height: '14px', display: 'inline', verticalAlign: '-2px' }} /> New
+        </button>
+        <button
+          className="btn-ghost"
+          onClick={() => handleCreate(true)}
+          disabled={!canSaveCurrent}
+          title="Save the plan on the canvas as a new project"
+          style={{ opacity: canSaveCurrent ? 1 : 0.4 }}
+        >
+          Save current
+        </button>
+      </div>
+
+      {error && (
+        <p style={{ margin: '0 0 12px', color: '#ef4444' }}>{error}</p>
+      )}
+
+      {projects === null ? (
+        <p style={{ margin: 0 }}>Loading projects…</p>
+      ) : projects.length === 0 ? (
+        <p style={{ margin: 0, color: 'var(--text-muted)' }}>No saved projects yet.</p>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {projects.map((project) => {
+            const isCurrent = project.id === currentProjectId;
+            const isEditing = editing?.id === project.id;
+            return (
+              <div
+                key={project.id}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '12px',
+                  padding: '8px',
+                  borderRadius: '10px',
+                  background: 'var(--bg-item)',
+                  border: isCurrent ? '1px solid rgba(255, 102, 0, 0.5)' : '1px solid var(--border-item)',
+                }}
+              >
+                {/* Thumbnail */}
+                <div style={{
+                  width: '96px',
+                  height: '64px',
+                  flexShrink: 0,
+                  borderRadius: '6px',
+                  overflow: 'hidden',
+                  background: '#ffffff',
+                  border: '1px solid var(--border-item)',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                }}>
+                  {project.thumbnail ? (
+                    <img src={project.thumbnail} alt="" style={{ width: '100%', height: '100%', objectFit: 'contain' }} />
+                  ) : (
+                    <ImageOff style={{ width: '18px', height: '18px', color: 'var(--text-muted)' }} />
+                  )}
+                </div>
+
+                {/* Details */}
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  {isEditing ? (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                      <input
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+                        style={inputStyle}
+                        autoFocus
+                      />
+                      <input
+                        value={editing.customerName}
+                        placeholder="Customer name"
+                        onChange={(e) => setEditing({ ...editing, customerName: e.target.value })}
+                        onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+                        style={inputStyle}
+                      />
+                    </div>
+                  ) : (
+                    <>
+                      <div style={{ fontWeight: 600, fontSize: '13px', color: 'var(--text-primary)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {project.name}
+                        {isCurrent && <span style={{ marginLeft: '6px', fontSize: '10px', color: '#ff6600' }}>OPEN</span>}
+                      </div>
+                      <div style={{ fontSize: '12px' }}>{project.customerName || 'No customer'}</div>
+                      <div style={{ fontSize: '11px', color: 'var(--text-muted)' }}>
+                        Modified {formatModified(project.modifiedAt)}
+                      </div>
+                    </>
+                  )}
+                </div>
+
+                {/* Actions */}
+                <div style={{ display: 'flex', gap: '4px' }}>
+                  {isEditing ? (
+                    <button style={iconButtonStyle} onClick={handleRename} title="Save name">
+                      <Check style={{ width: '14px', height: '14px' }} />
+                    </button>
+                  ) : (
+                    <>
+                      <button style={iconButtonStyle} onClick={() => onOpen(project)} title="Open">
+                        <FolderOpen style={{ width: '14px', height: '14px' }} />
+                      </button>
+                      <button
+                        style={iconButtonStyle}
+                        onClick={() => setEditing({ id: project.id, name: project.name, customerName: project.customerName || '' })}
+                        title="Rename"
+                      >
+                        <Pencil style={{ width: '14px', height: '14px' }} />
+                      </button>
+                      <button style={iconButtonStyle} onClick={() => run(() => duplicateProject(project.id))} title="Duplicate">
+                        <Copy style={{ width: '14px', height: '14px' }} />
+                      </button>
+                      <button style={{ ...iconButtonStyle, color: '#ef4444' }} onClick={() => handleDelete(project)} title="Delete">
+                        <Trash2 style={{ width: '14px', height: '14px' }} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Modal>
+  );
+}
@@ -1,15 +1,40 @@
 import React, { useState, useEffect } from 'react';
 import { X, RotateCw } from 'lucide-react';
+import { pxToMm, mmToPx } from '../utils/units';
+import { getWallThickness, getWallLengths, setWallLength, resizeItem, getLCutout, L_CUT_CORNERS, isOpeningItem, getSillHeight, getDoorSettings, isMeasureItem, getClearanceZone } from '../utils/geometry';
 
-// Conversion constant - must match CanvasEditor
-const PIXELS_PER_MM = 0.5;
-const pxToMm = (px) => Math.round(px / PIXELS_PER_MM);
-const mmToPx = (mm) => mm * PIXELS_PER_MM;
+const CUT_CORNER_LABELS = {
+  'top-left': 'Top left',
+  'top-right': 'Top right',
+  'bottom-right': 'Bottom right',
+  'bottom-left': 'Bottom left',
+};
+
+const DOOR_TYPE_LABELS = {
+  hinged: 'Hinged',
+  pocket: 'Sliding pocket',
+  bifold: 'Bi-fold',
+};
+
+const WALL_PRESETS = [
+  { label: 'Stud (100mm)', mm: 100 },
+  { label: 'Solid brick (225mm)', mm: 225 },
+  { label: 'Cavity (300mm)', mm: 300 },
+];
 
 export function PropertiesPanel({ selectedItem, onUpdate, onClose }) {
   const [widthMm, setWidthMm] = useState('');
   const [heightMm, setHeightMm] = useState('');
   const [rotation, setRotation] = useState('');
+  const [wallMm, setWallMm] = useState('');
+  const [cutWidthMm, setCutWidthMm] = useState('');
+  const [cutDepthMm, setCutDepthMm] = useState('');
+  const [sillMm, setSillMm] = useState('');
+  const [openingAngle, setOpeningAngle] = useState('');
+  const [zoneWidthMm, setZoneWidthMm] = useState('');
+  const [zoneDepthMm, setZoneDepthMm] = useState('');
+  // Edits to a drawn room's walls, thrown away once its corners change
+  const [wallDraft, setWallDraft] = useState({ points: null, lengthsMm: [] });
 
   // Sync local state when selected item changes (convert px to mm for display)
   useEffect(() => {
@@ -17,23 +42,88 @@ export function PropertiesPanel({ selectedItem, onUpdate, onClose }) {
       setWidthMm(pxToMm(selectedItem.width).toString());
       setHeightMm(pxToMm(selectedItem.height).toString());
       setRotation(Math.round(selectedItem.rotation || 0).toString());
+      setWallMm(pxToMm(getWallThickness(selectedItem)).toString());
+      setSillMm(getSillHeight(selectedItem).toString());
+      setOpeningAngle(getDoorSettings(selectedItem).openingAngle.toString());
+      const zone = getClearanceZone(selectedItem);
+      setZoneWidthMm(pxToMm(zone ? zone.width : selectedItem.width).toString());
+      setZoneDepthMm(pxToMm(zone ? zone.height : 0).toString());
+      if (selectedItem.type === 'room-l') {
+        const cut = getLCutout(selectedItem);
+        setCutWidthMm(Math.round(pxToMm(cut.width)).toString());
+        setCutDepthMm(Math.round(pxToMm(cut.depth)).toString());
+      }
     }
-  }, [selectedItem?.id, selectedItem?.width, selectedItem?.height, selectedItem?.rotation]);
+  }, [selectedItem?.id, selectedItem?.width, selectedItem?.height, selectedItem?.rotation, selectedItem?.wallThickness, selectedItem?.cutWidth, selectedItem?.cutDepth, selectedItem?.sillHeight, selectedItem?.openingAngle, selectedItem?.clearanceWidth, selectedItem?.clearanceDepth]);
 
   if (!selectedItem) return null;
 
+  const isRoom = selectedItem.type?.startsWith('room-');
+  const isDrawnRoom = selectedItem.type === 'room-polygon';
+  const isLRoom = selectedItem.type === 'room-l';
+  const isOpening = isOpeningItem(selectedItem);
+  // Openings in a wall take their angle and depth from it
+  const isHosted = isOpening && Boolean(selectedItem.hostId);
+  const isDoor = selectedItem.type === 'door';
+  const isMeasure = isMeasureItem(selectedItem);
+  const isFixture = !isRoom && !isOpening && !isMeasure;
+  const door = getDoorSettings(selectedItem);
+  const wallLengthsMm = isDrawnRoom && wallDraft.points === selectedItem.points
+    ? wallDraft.lengthsMm
+    : (selectedItem.points ? getWallLengths(selectedItem.points).map((px) => Math.round(pxToMm(px)).toString()) : []);
+
+  // A field still showing the stored value keeps it exactly, so rounding to whole mm isn't an edit
+  const fromMm = (mm, px) => (mm === pxToMm(px) ? px : mmToPx(mm));
+
   const handleApply = () => {
     // Convert mm input back to pixels for storage
-    const newWidthPx = mmToPx(parseInt(widthMm) || pxToMm(selectedItem.width));
-    const newHeightPx = mmToPx(parseInt(heightMm) || pxToMm(selectedItem.height));
+    const newWidthPx = fromMm(parseInt(widthMm) || pxToMm(selectedItem.width), selectedItem.width);
+    const newHeightPx = fromMm(parseInt(heightMm) || pxToMm(selectedItem.height), selectedItem.height);
     const newRotation = parseInt(rotation) || 0;
-    
-    onUpdate({
-      ...selectedItem,
-      width: Math.max(5, newWidthPx),  // Min 10mm = 5px
-      height: Math.max(5, newHeightPx),
-      rotation: newRotation % 360,
+
+    const resized = newWidthPx === selectedItem.width && newHeightPx === selectedItem.height
+      ? selectedItem
+      : resizeItem(selectedItem, Math.max(5, newWidthPx), Math.max(5, newHeightPx));  // Min 10mm = 5px
+    const currentCut = isLRoom && getLCutout(selectedItem);
+    const cut = isLRoom && getLCutout({
+      ...resized,
+      cutWidth: fromMm(parseInt(cutWidthMm) || 0, currentCut.width),
+      cutDepth: fromMm(parseInt(cutDepthMm) || 0, currentCut.depth),
     });
+    const wallPx = fromMm(Math.max(0, parseInt(wallMm) || 0), getWallThickness(selectedItem));
+    const sill = Math.max(0, parseInt(sillMm) || 0);
+    const angle = Math.max(0, Math.min(180, parseInt(openingAngle) || 0));
+    // The zone as the fields first showed it - the item's own, its type's default, or none
+    const zone = getClearanceZone(selectedItem);
+    const shownZone = { width: zone ? zone.width : selectedItem.width, depth: zone ? zone.height : 0 };
+    const zoneWidthPx = fromMm(Math.max(0, parseInt(zoneWidthMm) || 0), shownZone.width);
+    const zoneDepthPx = fromMm(Math.max(0, parseInt(zoneDepthMm) || 0), shownZone.depth);
+
+    const updated = {
+      ...resized,
+      rotation: newRotation === Math.round(selectedItem.rotation || 0) ? selectedItem.rotation : newRotation % 360,
+      ...(isRoom && wallPx !== getWallThickness(selectedItem) && { wallThickness: wallPx }),
+      ...(isLRoom && (cut.width !== currentCut.width || cut.depth !== currentCut.depth) && { cutWidth: cut.width, cutDepth: cut.depth }),
+      ...(isOpening && sill !== getSillHeight(selectedItem) && { sillHeight: sill }),
+      ...(isFixture && (zoneWidthPx !== shownZone.width || zoneDepthPx !== shownZone.depth) && {
+        clearanceWidth: zoneWidthPx,
+        clearanceDepth: zoneDepthPx,
+      }),
+      ...(isDoor && angle !== door.openingAngle && { openingAngle: angle }),
+    };
+    // Leaving a field untouched shouldn't add a step to the undo history
+    if (Object.keys(updated).some((key) => updated[key] !== selectedItem[key])) onUpdate(updated);
+  };
+
+  const handleApplyWallLength = (index) => {
+    const lengthMm = parseInt(wallLengthsMm[index]);
+    setWallDraft({ points: null, lengthsMm: [] });
+    if (!(lengthMm >= 10)) return;
+    // An untouched wall keeps its exact length rather than being rounded to whole mm, and Enter
+    // just blurs the field so the change is applied (and added to the undo history) once
+    const currentPx = getWallLengths(selectedItem.points)[index];
+    const lengthPx = fromMm(lengthMm, currentPx);
+    if (lengthPx !== currentPx) onUpdate(setWallLength(selectedItem, index, lengthPx));
   };
 
   const handleKeyDown = (e) => {
@@ -42,8 +132,6 @@ export function PropertiesPanel({ selectedItem, onUpdate, onClose }) {
     }
   };
 
-  const isRoom = selectedItem.type?.startsWith('room-');
-
   const inputStyle = {
     width: '100%',
     padding: '8px 10px',
@@ -128,7 +216,7 @@ export function PropertiesPanel({ selectedItem, onUpdate, onClose }) {
 
       {/* Width */}
       <div>
-        <label style={labelStyle}>Width (mm)</label>
+        <label style={labelStyle}>{isRoom ? 'Internal Width (mm)' : isMeasure ? 'Length (mm)' : 'Width (mm)'}</label>
         <input
           type="number"
           value={widthMm}
@@ -142,62 +230,285 @@ export function PropertiesPanel({ selectedItem, onUpdate, onClose }) {
       </div>
 
       {/* Height */}
-      <div>
-        <label style={labelStyle}>
-          {isRoom ? 'Depth (mm)' : 'Height (mm)'}
-        </label>
-        <input
-          type="number"
-          value={heightMm}
-          onChange={(e) => setHeightMm(e.target.value)}
-          onBlur={handleApply}
-          onKeyDown={handleKeyDown}
-          style={inputStyle}
-          min="10"
-          step="10"
-        />
-      </div>
+      {!isHosted && !isMeasure && (
+        <div>
+          <label style={labelStyle}>
+            {isRoom ? 'Internal Depth (mm)' : 'Height (mm)'}
+          </label>
+          <input
+            type="number"
+            value={heightMm}
+            onChange={(e) => setHeightMm(e.target.value)}
+            onBlur={handleApply}
+            onKeyDown={handleKeyDown}
+            style={inputStyle}
+            min="10"
+            step="10"
+          />
+        </div>
+      )}
 
       {/* Rotation */}
-      <div>
-        <label style={labelStyle}>Rotation (°)</label>
-        <div style={{ display: 'flex', gap: '8px' }}>
+      {!isHosted && (
+        <div>
+          <label style={labelStyle}>Rotation (°)</label>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <input
+              type="number"
+              value={rotation}
+              onChange={(e) => setRotation(e.target.value)}
+              onBlur={handleApply}
+              onKeyDown={handleKeyDown}
+              style={{ ...inputStyle, flex: 1 }}
+              min="0"
+              max="360"
+              step="15"
+            />
+            <button
+              onClick={() => {
+                const newRot = ((parseInt(rotation) || 0) + 90) % 360;
+                setRotation(newRot.toString());
+                onUpdate({ ...selectedItem, rotation: newRot });
+              }}
+              style={{
+                padding: '8px',
+                borderRadius: '8px',
+                border: '1px solid var(--border-item)',
+                background: 'var(--bg-item)',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+              }}
+              title="Rotate 90°"
+            >
+              <RotateCw style={{ width: '16px', height: '16px', color: 'var(--text-secondary)' }} />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Sill Height for Doors and Windows */}
+      {isOpening && (
+        <div>
+          <label style={labelStyle}>Sill Height (mm)</label>
           <input
             type="number"
-            value={rotation}
-            onChange={(e) => setRotation(e.target.value)}
+            value={sillMm}
+            onChange={(e) => setSillMm(e.target.value)}
             onBlur={handleApply}
             onKeyDown={handleKeyDown}
-            style={{ ...inputStyle, flex: 1 }}
+            style={inputStyle}
             min="0"
-            max="360"
+            step="50"
+          />
+        </div>
+      )}
+
+      {/* Door Type and Handing */}
+      {isDoor && (
+        <div>
+          <label style={labelStyle}>Door</label>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            <select
+              value={door.doorType}
+              onChange={(e) => onUpdate({ ...selectedItem, doorType: e.target.value })}
+              style={inputStyle}
+            >
+              {Object.entries(DOOR_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={door.hinge}
+              onChange={(e) => onUpdate({ ...selectedItem, hinge: e.target.value })}
+              style={inputStyle}
+            >
+              <option value="left">{door.doorType === 'pocket' ? 'Slides left' : 'Left hinge'}</option>
+              <option value="right">{door.doorType === 'pocket' ? 'Slides right' : 'Right hinge'}</option>
+            </select>
+            {door.doorType !== 'pocket' && (
+              <select
+                value={door.swing}
+                onChange={(e) => onUpdate({ ...selectedItem, swing: e.target.value })}
+                style={inputStyle}
+              >
+                <option value="in">Opens inward</option>
+                <option value="out">Opens outward</option>
+              </select>
+            )}
+          </div>
+        </div>
+      )}
+
+      {isDoor && door.doorType !== 'pocket' && (
+        <div>
+          <label style={labelStyle}>Opening Angle (°)</label>
+          <input
+            type="number"
+            value={openingAngle}
+            onChange={(e) => setOpeningAngle(e.target.value)}
+            onBlur={handleApply}
+            onKeyDown={handleKeyDown}
+            style={inputStyle}
+            min="0"
+            max="180"
             step="15"
           />
-          <button
-            onClick={() => {
-              const newRot = ((parseInt(rotation) || 0) + 90) % 360;
-              setRotation(newRot.toString());
-              onUpdate({ ...selectedItem, rotation: newRot });
-            }}
-            style={{
-              padding: '8px',
-              borderRadius: '8px',
-              border: '1px solid var(--border-item)',
-              background: 'var(--bg-item)',
-              cursor: 'pointer',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center',
-            }}
-            title="Rotate 90°"
-          >
-            <RotateCw style={{ width: '16px', height: '16px', color: 'var(--text-secondary)' }} />
-          </button>
         </div>
-      </div>
+      )}
 
-      {/* Quick Sizes for Rooms (values in mm, converted to px on apply) */}
+      {/* Activity space kept clear in front of fixtures */}
+      {isFixture && (
+        <div>
+          <label style={labelStyle}>Clearance Zone (mm)</label>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Width</label>
+              <input
+                type="number"
+                value={zoneWidthMm}
+                onChange={(e) => setZoneWidthMm(e.target.value)}
+                onBlur={handleApply}
+                onKeyDown={handleKeyDown}
+                style={inputStyle}
+                min="0"
+                step="50"
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Depth</label>
+              <input
+                type="number"
+                value={zoneDepthMm}
+                onChange={(e) => setZoneDepthMm(e.target.value)}
+                onBlur={handleApply}
+                onKeyDown={handleKeyDown}
+                style={inputStyle}
+                min="0"
+                step="50"
+                title="0 for no zone"
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Wall Thickness for Rooms */}
       {isRoom && (
+        <div>
+          <label style={labelStyle}>Wall Thickness (mm)</label>
+          <input
+            type="number"
+            value={wallMm}
+            onChange={(e) => setWallMm(e.target.value)}
+            onBlur={handleApply}
+            onKeyDown={handleKeyDown}
+            style={inputStyle}
+            min="0"
+            step="25"
+          />
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '6px' }}>
+            {WALL_PRESETS.map((preset) => (
+              <button
+                key={preset.mm}
+                onClick={() => {
+                  setWallMm(preset.mm.toString());
+                  onUpdate({ ...selectedItem, wallThickness: mmToPx(preset.mm) });
+                }}
+                style={{
+                  padding: '4px 8px',
+                  borderRadius: '6px',
+                  border: '1px solid var(--border-item)',
+                  background: pxToMm(getWallThickness(selectedItem)) === preset.mm ? 'rgba(255, 102, 0, 0.1)' : 'var(--bg-item)',
+                  cursor: 'pointer',
+                  fontSize: '10px',
+                  fontWeight: 500,
+                  color: 'var(--text-secondary)',
+                }}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Cut-out for L-Shaped Rooms */}
+      {isLRoom && (
+        <div>
+          <label style={labelStyle}>Cut-out</label>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            <select
+              value={getLCutout(selectedItem).corner}
+              onChange={(e) => onUpdate({ ...selectedItem, cutCorner: e.target.value })}
+              style={inputStyle}
+            >
+              {L_CUT_CORNERS.map((corner) => (
+                <option key={corner} value={corner}>{CUT_CORNER_LABELS[corner]}</option>
+              ))}
+            </select>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>Width</label>
+                <input
+                  type="number"
+                  value={cutWidthMm}
+                  onChange={(e) => setCutWidthMm(e.target.value)}
+                  onBlur={handleApply}
+                  onKeyDown={handleKeyDown}
+                  style={inputStyle}
+                  min="0"
+                  step="10"
+                />
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>Depth</label>
+                <input
+                  type="number"
+                  value={cutDepthMm}
+                  onChange={(e) => setCutDepthMm(e.target.value)}
+                  onBlur={handleApply}
+                  onKeyDown={handleKeyDown}
+                  style={inputStyle}
+                  min="0"
+                  step="10"
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Wall Lengths for Drawn Rooms */}
+      {isDrawnRoom && (
+        <div>
+          <label style={labelStyle}>Wall Lengths (mm)</label>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            {wallLengthsMm.map((lengthMm, index) => (
+              <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <span style={{ width: '44px', fontSize: '11px', color: 'var(--text-muted)' }}>Wall {index + 1}</span>
+                <input
+                  type="number"
+                  value={lengthMm}
+                  onChange={(e) => setWallDraft({
+                    points: selectedItem.points,
+                    lengthsMm: wallLengthsMm.map((value, i) => (i === index ? e.target.value : value)),
+                  })}
+                  onBlur={() => handleApplyWallLength(index)}
+                  onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                  style={{ ...inputStyle, flex: 1 }}
+                  min="10"
+                  step="10"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Quick Sizes for Rooms (values in mm, converted to px on apply) */}
+      {isRoom && !isDrawnRoom && (
         <div>
           <label style={labelStyle}>Quick Sizes</label>
           <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Bath, Droplet, Square, CornerDownRight, Heater, DoorOpen, Trash2, ShowerHead, ScanFace, ChevronDown, ChevronUp, Pipette } from 'lucide-react';
+import { Bath, Droplet, Square, CornerDownRight, Heater, Rows3, Lightbulb, DoorOpen, Trash2, ShowerHead, ScanFace, ChevronDown, ChevronUp, Pipette, LayoutTemplate, PenTool, AppWindow } from 'lucide-react';
 
 // Simple toilet icon since lucide doesn't have one
 const ToiletIcon = ({ style }) => (
@@ -11,8 +11,10 @@ const ToiletIcon = ({ style }) => (
 );
 
 const ROOM_ITEMS = [
-  { type: 'room-square', label: 'Room', icon: Square, width: 500, height: 500 },
-  { type: 'room-l', label: 'L-Shape Room', icon: CornerDownRight, width: 500, height: 500 },
+  { type: 'room-square', label: 'Room', icon: Square, width: 500, height: 500, wallThickness: 50 },
+  { type: 'room-l', label: 'L-Shape Room', icon: CornerDownRight, width: 500, height: 500, wallThickness: 50 },
+  // Not added directly - starts outlining a room corner by corner on the canvas
+  { type: 'room-polygon', label: 'Draw Room', icon: PenTool, isDrawTool: true },
 ];
 
 const FIXTURE_ITEMS = [
@@ -23,12 +25,15 @@ const FIXTURE_ITEMS = [
   { type: 'sink', label: 'Basin', icon: Droplet, width: 80, height: 65 },
   { type: 'cupboard', label: 'Cupboard', icon: Square, width: 80, height: 60 },
   { type: 'radiator', label: 'Radiator', icon: Heater, width: 80, height: 15 },
+  { type: 'towel-rail', label: 'Heated Towel Rail', icon: Rows3, width: 50, height: 12 },
   { type: 'door', label: 'Door', icon: DoorOpen, width: 100, height: 15 },
+  { type: 'window', label: 'Window', icon: AppWindow, width: 100, height: 15, sillHeight: 900 },
   { type: 'shower-head', label: 'Shower Head', icon: ShowerHead, width: 40, height: 40 },
   { type: 'mirror', label: 'Mirror', icon: ScanFace, width: 80, height: 5 },
+  { type: 'light', label: 'Ceiling Light', icon: Lightbulb, width: 20, height: 20 },
 ];
 
-export function Sidebar({ selectedIds, onDelete, onAdd, theme }) {
+export function Sidebar({ selectedIds, onDelete, onAdd, onDrawRoom, onBrowseTemplates, theme }) {
   const [roomsExpanded, setRoomsExpanded] = useState(true);
   const [fixturesExpanded, setFixturesExpanded] = useState(true);
 
@@ -117,9 +122,9 @@ export function Sidebar({ selectedIds, onDelete, onAdd, theme }) {
               <div
                 key={item.type}
                 id={`room-item-${item.type}`}
-                draggable
+                draggable={!item.isDrawTool}
                 onDragStart={(e) => handleDragStart(e, item)}
-                onClick={() => onAdd(item)}
+                onClick={() => (item.isDrawTool ? onDrawRoom() : onAdd(item))}
                 style={{
                   display: 'flex',
                   alignItems: 'center',
@@ -228,6 +233,30 @@ export function Sidebar({ selectedIds, onDelete, onAdd, theme }) {
         )}
       </div>
 
+      {/* Templates */}
+      <button
+        id="btn-templates"
+        onClick={onBrowseTemplates}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          gap: '8px',
+          padding: '10px',
+          background: 'var(--bg-item)',
+          color: 'var(--text-secondary)',
+          border: '1px dashed rgba(255, 102, 0, 0.4)',
+          borderRadius: '10px',
+          fontWeight: 600,
+          fontSize: '12px',
+          cursor: 'pointer',
+          transition: 'all 0.2s ease',
+        }}
+      >
+        <LayoutTemplate style={{ width: '14px', height: '14px', color: '#ff6600' }} />
+        Browse Templates
+      </button>
+
       {/* Spacer */}
       <div style={{ flex: 1 }} />
 
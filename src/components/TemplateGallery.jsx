@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import { LayoutTemplate } from 'lucide-react';
+import { Modal } from './Modal';
+import { loadTemplates } from '../utils/templates';
+
+export function TemplateGallery({ onSelect, onClose }) {
+  const [templates, setTemplates] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadTemplates()
+      .then((list) => {
+        if (!cancelled) setTemplates(list);
+      })
+      .catch((err) => {
+        console.error('Template load error:', err);
+        if (!cancelled) {
+          setError(err.message || 'Could not load templates.');
+          setTemplates([]);
+        }
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  return (
+    <Modal id="template-gallery" title="Start from a Template" onClose={onClose} width={600}>
+      {error && <p style={{ margin: '0 0 12px', color: '#ef4444' }}>{error}</p>}
+
+      {templates === null ? (
+        <p style={{ margin: 0 }}>Loading templates…</p>
+      ) : templates.length === 0 ? (
+        !error && <p style={{ margin: 0, color: 'var(--text-muted)' }}>No templates available.</p>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '10px' }}>
+          {templates.map((template) => (
+            <button
+              key={template.id}
+              id={`template-${template.id}`}
+              onClick={() => onSelect(template)}
+              style={{
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'flex-start',
+                gap: '6px',
+                padding: '12px',
+                textAlign: 'left',
+                background: 'var(--bg-item)',
+                border: '1px solid var(--border-item)',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                transition: 'all 0.2s ease',
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.borderColor = 'rgba(255, 102, 0, 0.3)';
+                e.currentTarget.style.transform = 'translateY(-2px)';
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.borderColor = 'var(--border-item)';
+                e.currentTarget.style.transform = 'translateY(0)';
+              }}
+            >
+              <span style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <LayoutTemplate style={{ width: '16px', height: '16px', color: '#ff6600' }} />
+                <span style={{ fontWeight: 600, fontSize: '13px', color: 'var(--text-primary)' }}>{template.name}</span>
+              </span>
+              {template.size && (
+                <span style={{ fontSize: '11px', fontWeight: 600, color: '#005bab' }}>{template.size}</span>
+              )}
+              <span style={{ fontSize: '12px', color: 'var(--text-secondary)', lineHeight: 1.4 }}>
+                {template.description}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,117 @@
+// Autosave of the working plan to localStorage so a refresh doesn't lose it
+
+import { getItemProblems } from './projectFile';
+
+const STORAGE_KEY = 'bathroom-planner-autosave';
+export const AUTOSAVE_VERSION = 1;
+
+// Upgrade steps keyed by the version they upgrade FROM (e.g. 1: save => v2 save)
+const MIGRATIONS = {};
+
+const isValidItem = (item) => getItemProblems(item).length === 0;
+
+const migrate = (save) => {
+  let current = save;
+  while (current.version < AUTOSAVE_VERSION) {
+    const step = MIGRATIONS[current.version];
+    if (!step) return null;
+    current = step(current);
+  }
+  return current.version === AUTOSAVE_VERSION ? current : null;
+};
+
+const discard = (reason) => {
+  console.warn(`[Autosave] Discarding saved plan: ${reason}`);
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Storage unavailable - nothing to clean up
+  }
+};
+
+// Returns the saved session, or null when there is nothing usable to restore.
+// Anything unreadable is thrown away so it can never block the app starting.
+export function loadAutosave() {
+  let raw;
+  try {
+    raw = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+  if (!raw) return null;
+
+  let save;
+  try {
+    save = JSON.parse(raw);
+  } catch {
+    discard('not valid JSON');
+    return null;
+  }
+
+  if (!save || !Number.isInteger(save.version) || save.version > AUTOSAVE_VERSION) {
+    discard(`unsupported version ${save?.version}`);
+    return null;
+  }
+
+  const migrated = migrate(save);
+  if (!migrated || !Array.isArray(migrated.items) || !migrated.items.every(isValidItem)) {
+    discard('invalid contents');
+    return null;
+  }
+  if (migrated.items.length === 0) return null;
+
+  const history = Array.isArray(migrated.history) && migrated.history.every((h) => typeof h === 'string')
+    ? migrated.history
+    : [];
+  const historyIndex = Number.isInteger(migrated.historyIndex)
+    ? Math.min(Math.max(migrated.historyIndex, -1), history.length - 1)
+    : history.length - 1;
+  const view = migrated.view && Number.isFinite(migrated.view.zoom) &&
+    Number.isFinite(migrated.view.stagePos?.x) && Number.isFinite(migrated.view.stagePos?.y)
+    ? migrated.view
+    : null;
+
+  return {
+    items: migrated.items,
+    isRoomLocked: Boolean(migrated.isRoomLocked),
+    metadata: migrated.metadata && typeof migrated.metadata === 'object' ? migrated.metadata : {},
+    projectId: typeof migrated.projectId === 'string' ? migrated.projectId : null,
+    view,
+    history,
+    historyIndex,
+    savedAt: migrated.savedAt,
+  };
+}
+
+export function saveAutosave({ items, isRoomLocked, metadata, projectId, view, history, historyIndex }) {
+  const save = {
+    version: AUTOSAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    items,
+    isRoomLocked,
+    metadata,
+    projectId,
+    view,
+    history,
+    historyIndex,
+  };
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(save));
+  } catch {
+    // Most likely over quota - the undo history is the expendable part
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...save, history: [], historyIndex: -1 }));
+    } catch (error) {
+      console.warn('[Autosave] Could not save plan:', error);
+    }
+  }
+}
+
+export function clearAutosave() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Storage unavailable - nothing to clear
+  }
+}
@@ -0,0 +1,856 @@
+// Plan geometry - outlines and footprints of items in canvas units.
+// Items rotate about their top-left corner (x, y), the same as a Konva Group with no offset.
+// Point lists are flat [x1, y1, x2, y2, ...] arrays, as Konva's Line uses.
+
+import { mmToPx } from './units';
+
+export const DEFAULT_WALL_THICKNESS_MM = 100;
+
+export const isRoomItem = (item) => Boolean(item.type?.startsWith('room'));
+
+export const getWallThickness = (item) =>
+  Number.isFinite(item.wallThickness) ? item.wallThickness : mmToPx(DEFAULT_WALL_THICKNESS_MM);
+
+export const L_CUT_CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+const DEFAULT_L_CUT = 0.4; // share of the width/depth cut out when none is set
+const MIN_L_LEG = 5; // keeps at least 10mm of room either side of the cut-out
+
+// The notched-out corner of an L-shaped room: { width, depth, corner }, clamped to fit the room
+export const getLCutout = (item) => {
+  const clampCut = (value, size) => Math.max(0, Math.min(value, size - MIN_L_LEG));
+  return {
+    width: clampCut(Number.isFinite(item.cutWidth) ? item.cutWidth : item.width * DEFAULT_L_CUT, item.width),
+    depth: clampCut(Number.isFinite(item.cutDepth) ? item.cutDepth : item.height * DEFAULT_L_CUT, item.height),
+    corner: L_CUT_CORNERS.includes(item.cutCorner) ? item.cutCorner : 'bottom-right',
+  };
+};
+
+// The inside corner of the L, where the cut-out's two walls meet
+export const getLCutPoint = (item) => {
+  const { width, depth, corner } = getLCutout(item);
+  return {
+    x: corner.endsWith('right') ? item.width - width : width,
+    y: corner.startsWith('bottom') ? item.height - depth : depth,
+  };
+};
+
+// Cut-out size that puts the inside corner of the L at (x, y)
+export const getLCutFromPoint = (item, x, y) => {
+  const { corner } = getLCutout(item);
+  const cut = getLCutout({
+    ...item,
+    cutWidth: corner.endsWith('right') ? item.width - x : x,
+    cutDepth: corner.startsWith('bottom') ? item.height - y : y,
+  });
+  return { cutWidth: cut.width, cutDepth: cut.depth };
+};
+
+// Corners of an L-shaped room, clockwise from the top-left
+export const getLShapePoints = (item) => {
+  const { width: c, depth: d, corner } = getLCutout(item);
+  const w = item.width;
+  const h = item.height;
+  if (corner === 'top-left') return [c, 0, w, 0, w, h, 0, h, 0, d, c, d];
+  if (corner === 'top-right') return [0, 0, w - c, 0, w - c, d, w, d, w, h, 0, h];
+  if (corner === 'bottom-left') return [0, 0, w, 0, w, h, c, h, c, h - d, 0, h - d];
+  return [0, 0, w, 0, w, h - d, w - c, h - d, w - c, h, 0, h];
+};
+
+// Inner face of a room's walls, in the item's own coordinates
+export const getRoomOutline = (item) => {
+  if (item.type === 'room-polygon') return item.points;
+  if (item.type === 'room-l') return getLShapePoints(item);
+  return [0, 0, item.width, 0, item.width, item.height, 0, item.height];
+};
+
+const toPairs = (points) => {
+  const pairs = [];
+  for (let i = 0; i < points.length; i += 2) pairs.push([points[i], points[i + 1]]);
+  return pairs;
+};
+
+const signedArea = (pairs) => pairs.reduce((sum, [x1, y1], i) => {
+  const [x2, y2] = pairs[(i + 1) % pairs.length];
+  return sum + (x1 * y2 - x2 * y1);
+}, 0) / 2;
+
+// Grows a closed polygon outwards by `distance` with mitred corners (walls around a room outline)
+export const offsetPolygon = (points, distance) => {
+  const pairs = toPairs(points);
+  const count = pairs.length;
+  const sign = signedArea(pairs) >= 0 ? 1 : -1;
+
+  // Each edge moved outwards along its normal
+  const edges = pairs.map(([x1, y1], i) => {
+    const [x2, y2] = pairs[(i + 1) % count];
+    const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+    const nx = (sign * (y2 - y1)) / length;
+    const ny = (sign * -(x2 - x1)) / length;
+    return { x: x1 + nx * distance, y: y1 + ny * distance, dx: x2 - x1, dy: y2 - y1, nx, ny };
+  });
+
+  // New corner = where the previous and next offset edges meet
+  return pairs.flatMap(([px, py], i) => {
+    const a = edges[(i - 1 + count) % count];
+    const b = edges[i];
+    const denom = a.dx * b.dy - a.dy * b.dx;
+    if (Math.abs(denom) < 1e-9) return [px + b.nx * distance, py + b.ny * distance];
+    const t = ((b.x - a.x) * b.dy - (b.y - a.y) * b.dx) / denom;
+    return [a.x + a.dx * t, a.y + a.dy * t];
+  });
+};
+
+// Maps points from an item's own coordinates onto the canvas
+export const toCanvasPoints = (item, points) => {
+  const angle = ((item.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const result = [];
+  for (let i = 0; i < points.length; i += 2) {
+    result.push(item.x + points[i] * cos - points[i + 1] * sin, item.y + points[i] * sin + points[i + 1] * cos);
+  }
+  return result;
+};
+
+// Outline of everything an item draws - rooms include their walls
+export const getItemFootprint = (item) => {
+  if (isRoomItem(item)) return toCanvasPoints(item, offsetPolygon(getRoomOutline(item), getWallThickness(item)));
+  return toCanvasPoints(item, [0, 0, item.width, 0, item.width, item.height, 0, item.height]);
+};
+
+export const getPointsBounds = (points) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < points.length; i += 2) {
+    minX = Math.min(minX, points[i]);
+    maxX = Math.max(maxX, points[i]);
+    minY = Math.min(minY, points[i + 1]);
+    maxY = Math.max(maxY, points[i + 1]);
+  }
+  return { minX, minY, maxX, maxY };
+};
+
+// Axis-aligned bounds of all items, or null for an empty plan
+export const getPlanBounds = (items) => {
+  if (items.length === 0) return null;
+  return getPointsBounds(items.flatMap(getItemFootprint));
+};
+
+// Margin around the plan in exported images and SVGs, in canvas px
+export const EXPORT_PADDING = 40;
+
+// Area an export covers { x, y, width, height } - the plan bounds plus EXPORT_PADDING all round, or null for an empty plan
+export const getExportBounds = (items) => {
+  const bounds = getPlanBounds(items);
+  if (!bounds) return null;
+  return {
+    x: bounds.minX - EXPORT_PADDING,
+    y: bounds.minY - EXPORT_PADDING,
+    width: bounds.maxX - bounds.minX + EXPORT_PADDING * 2,
+    height: bounds.maxY - bounds.minY + EXPORT_PADDING * 2,
+  };
+};
+
+// Items picked out by a selection box { x, y, width, height } - 'enclosed' takes only those wholly inside it,
+// 'touching' anything it reaches. Uses the same rotated outlines as the plan bounds, so an L's empty corner is never hit.
+export const getItemsInRect = (items, rect, mode) => {
+  const box = [rect.x, rect.y, rect.x + rect.width, rect.y, rect.x + rect.width, rect.y + rect.height, rect.x, rect.y + rect.height];
+  return items.filter((item) => {
+    const footprint = getItemFootprint(item);
+    if (mode === 'enclosed') {
+      const b = getPointsBounds(footprint);
+      return b.minX >= rect.x && b.maxX <= rect.x + rect.width && b.minY >= rect.y && b.maxY <= rect.y + rect.height;
+    }
+    return polygonsOverlap(footprint, box);
+  });
+};
+
+// The room whose floor - its real outline, turned with it - contains the centre of the given item's footprint
+export const findContainingRoom = (item, items) => {
+  const bounds = getPointsBounds(getItemFootprint(item));
+  const cx = (bounds.minX + bounds.maxX) / 2;
+  const cy = (bounds.minY + bounds.maxY) / 2;
+  return items.find((room) => isRoomItem(room) && room.id !== item.id &&
+    pointInPolygon(cx, cy, toPairs(toCanvasPoints(room, getRoomOutline(room))))) || null;
+};
+
+// Nudges a fixture that has been pushed into a wall back to the wall's inner face, against the room's
+// real outline so L-shaped, drawn and rotated rooms work too.
+// Only overshoots up to the wall thickness are corrected, so items placed well outside stay put.
+export const keepInsideRoom = (item, room) => {
+  const wall = getWallThickness(room);
+  const corners = toPairs(getItemFootprint(item));
+  const outline = toPairs(toCanvasPoints(room, getRoomOutline(room)));
+  const count = outline.length;
+  const sign = signedArea(outline) >= 0 ? 1 : -1;
+
+  // How far the fixture's corners alongside each wall reach past its inner face
+  const walls = outline.map(([x1, y1], i) => {
+    const [x2, y2] = outline[(i + 1) % count];
+    const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+    const nx = (sign * (y2 - y1)) / length;
+    const ny = (sign * -(x2 - x1)) / length;
+    const over = Math.max(0, ...corners.map(([x, y]) => {
+      const along = ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / length;
+      return along >= 0 && along <= length ? (x - x1) * nx + (y - y1) * ny : 0;
+    }));
+    return { dx: x2 - x1, dy: y2 - y1, nx, ny, over: over <= wall ? over : 0 };
+  });
+
+  // Where neighbouring walls are both overshot, round a corner jutting into the room (the notch of
+  // an L) clearing the nearer wall is enough, and along a straight wall drawn in two parts one push clears both
+  walls.forEach((next, i) => {
+    const prev = walls[(i - 1 + count) % count];
+    if (!prev.over || !next.over) return;
+    const turn = (sign * (prev.dx * next.dy - prev.dy * next.dx)) / (Math.hypot(prev.dx, prev.dy) * Math.hypot(next.dx, next.dy) || 1);
+    if (turn < -1e-6) (prev.over > next.over ? prev : next).over = 0;
+    else if (turn < 1e-6) (prev.over > next.over ? next : prev).over = 0;
+  });
+
+  const dx = walls.reduce((sum, { nx, over }) => sum - nx * over, 0);
+  const dy = walls.reduce((sum, { ny, over }) => sum - ny * over, 0);
+  return dx || dy ? { ...item, x: item.x + dx, y: item.y + dy } : item;
+};
+
+// Wall lengths of a closed outline - wall i runs from corner i to corner i + 1
+export const getWallLengths = (points) => toPairs(points).map(([x1, y1], i, pairs) => {
+  const [x2, y2] = pairs[(i + 1) % pairs.length];
+  return Math.hypot(x2 - x1, y2 - y1);
+});
+
+// Re-bases a polygon room so its points start at 0,0 and width/height match their bounds,
+// keeping the outline where it is on the canvas
+export const normalizePolygonRoom = (item, points) => {
+  const { minX, minY, maxX, maxY } = getPointsBounds(points);
+  const [x, y] = toCanvasPoints(item, [minX, minY]);
+  return {
+    ...item,
+    x,
+    y,
+    width: maxX - minX,
+    height: maxY - minY,
+    points: points.map((value, i) => value - (i % 2 === 0 ? minX : minY)),
+  };
+};
+
+// New width/height for an item - a drawn room's corners stretch to match
+export const resizeItem = (item, width, height) => ({
+  ...item,
+  width,
+  height,
+  ...(item.points && {
+    points: item.points.map((value, i) => value * (i % 2 === 0 ? width / item.width : height / item.height)),
+  }),
+});
+
+// Builds a polygon room from corners clicked on the canvas
+export const createPolygonRoom = (canvasPoints, attrs) =>
+  normalizePolygonRoom({ ...attrs, type: 'room-polygon', x: 0, y: 0, rotation: 0 }, canvasPoints);
+
+// Sets the length of one wall by sliding its end corner along the wall. On rooms with four or
+// more corners the following wall slides with it, so square corners stay square.
+export const setWallLength = (item, index, length) => {
+  const pairs = toPairs(item.points);
+  const count = pairs.length;
+  const [x1, y1] = pairs[index];
+  const [x2, y2] = pairs[(index + 1) % count];
+  const current = Math.hypot(x2 - x1, y2 - y1);
+  if (current === 0) return item;
+
+  const dx = ((x2 - x1) / current) * (length - current);
+  const dy = ((y2 - y1) / current) * (length - current);
+  const moved = count >= 4 ? [index + 1, index + 2] : [index + 1];
+  moved.forEach((i) => {
+    const pair = pairs[i % count];
+    pairs[i % count] = [pair[0] + dx, pair[1] + dy];
+  });
+  return normalizePolygonRoom(item, pairs.flat());
+};
+
+// Doors and windows sit in a room's wall. A hosted opening stores the room (`hostId`), the wall
+// (`wallIndex`, numbered like getWallLengths) and how far along it its centre is (`offset`);
+// its x, y, rotation and depth are worked out from those, so it follows the room around.
+export const OPENING_TYPES = ['door', 'window'];
+const DEFAULT_SILL_HEIGHTS_MM = { door: 0, window: 900 };
+const OPENING_SNAP_DISTANCE = 25; // how far beyond the wall an opening still snaps to it
+
+export const isOpeningItem = (item) => OPENING_TYPES.includes(item.type);
+
+// Height of the bottom of the opening above the floor, in mm
+export const getSillHeight = (item) =>
+  Number.isFinite(item.sillHeight) ? item.sillHeight : DEFAULT_SILL_HEIGHTS_MM[item.type] || 0;
+
+// Inner faces of a room's walls on the canvas: [{ x1, y1, x2, y2, length, angle }]
+export const getRoomWalls = (room) => toPairs(toCanvasPoints(room, getRoomOutline(room))).map(([x1, y1], i, pairs) => {
+  const [x2, y2] = pairs[(i + 1) % pairs.length];
+  return { x1, y1, x2, y2, length: Math.hypot(x2 - x1, y2 - y1), angle: (Math.atan2(y2 - y1, x2 - x1) * 180) / Math.PI };
+});
+
+// The wall nearest to a canvas point, if the point is on or close to one: { room, wallIndex, offset }.
+// With `nearest` any wall will do, however far away.
+export const findHostWall = (point, items, { nearest = false } = {}) => {
+  let best = null;
+  items.filter(isRoomItem).forEach((room) => {
+    const reach = nearest ? Infinity : getWallThickness(room) + OPENING_SNAP_DISTANCE;
+    getRoomWalls(room).forEach((wall, wallIndex) => {
+      if (wall.length === 0) return;
+      const along = ((point.x - wall.x1) * (wall.x2 - wall.x1) + (point.y - wall.y1) * (wall.y2 - wall.y1)) / wall.length;
+      const offset = Math.max(0, Math.min(wall.length, along));
+      const distance = Math.hypot(
+        point.x - (wall.x1 + ((wall.x2 - wall.x1) * offset) / wall.length),
+        point.y - (wall.y1 + ((wall.y2 - wall.y1) * offset) / wall.length),
+      );
+      if (distance <= reach && (!best || distance < best.distance)) best = { room, wallIndex, offset, distance };
+    });
+  });
+  return best && { room: best.room, wallIndex: best.wallIndex, offset: best.offset };
+};
+
+// Positions an opening in its host wall - spanning the wall's thickness, with local y = 0 on the
+// room side and rotated so the swing of a door (towards local -y) opens into the room
+export const placeOpening = (item, room) => {
+  const wall = getRoomWalls(room)[item.wallIndex];
+  const half = Math.min(item.width, wall.length) / 2;
+  const offset = Math.max(half, Math.min(wall.length - half, item.offset));
+  const dx = (wall.x2 - wall.x1) / (wall.length || 1);
+  const dy = (wall.y2 - wall.y1) / (wall.length || 1);
+  // Outlines can be wound either way - flip so local +y always points out through the wall
+  const side = signedArea(toPairs(getRoomOutline(room))) >= 0 ? 1 : -1;
+  const centreX = wall.x1 + dx * offset;
+  const centreY = wall.y1 + dy * offset;
+  return {
+    ...item,
+    offset,
+    x: centreX + side * dx * (item.width / 2),
+    y: centreY + side * dy * (item.width / 2),
+    height: getWallThickness(room),
+    rotation: ((wall.angle + (side > 0 ? 180 : 0)) % 360 + 360) % 360,
+  };
+};
+
+const detachOpening = (item) => {
+  const { hostId: _hostId, wallIndex: _wallIndex, offset: _offset, ...rest } = item;
+  return rest;
+};
+
+// Hosts an opening in the wall nearest `point`, or frees it when no wall is close enough (options as findHostWall)
+export const attachOpening = (item, point, items, options) => {
+  const host = findHostWall(point, items, options);
+  if (!host) return item.hostId ? detachOpening(item) : item;
+  return placeOpening({ ...item, hostId: host.room.id, wallIndex: host.wallIndex, offset: host.offset }, host.room);
+};
+
+const isSamePlacement = (a, b) => ['x', 'y', 'height', 'rotation', 'offset'].every((key) => Math.abs(a[key] - b[key]) < 1e-6);
+
+// Moves hosted openings back onto their walls after rooms change. Openings whose room or wall
+// has gone become free items where they stand. Returns `items` itself when nothing moved.
+export const placeHostedOpenings = (items) => {
+  let changed = false;
+  const placed = items.map((item) => {
+    if (!item.hostId) return item;
+    const room = items.find((other) => other.id === item.hostId && isRoomItem(other));
+    const wallCount = room ? getRoomOutline(room).length / 2 : 0;
+    const next = Number.isInteger(item.wallIndex) && item.wallIndex < wallCount
+      ? placeOpening(item, room)
+      : detachOpening(item);
+    if (next.hostId && isSamePlacement(next, item)) return item;
+    changed = true;
+    return next;
+  });
+  return changed ? placed : items;
+};
+
+// Door handing and type. In a door's own coordinates the room side is local -y and the leaf
+// closes across local x = 0..width; `hinge` says which end it hangs from.
+export const DOOR_TYPES = ['hinged', 'pocket', 'bifold'];
+
+export const getDoorSettings = (item) => ({
+  doorType: DOOR_TYPES.includes(item.doorType) ? item.doorType : 'hinged',
+  hinge: item.hinge === 'right' ? 'right' : 'left',
+  swing: item.swing === 'out' ? 'out' : 'in',
+  openingAngle: Number.isFinite(item.openingAngle) ? Math.max(0, Math.min(180, item.openingAngle)) : 90,
+});
+
+// Where a door hangs and how far it turns: angles in degrees, clockwise from local +x as Konva draws them.
+// Bi-fold leaves fold in half, so sweep half the radius. Pocket doors slide into the wall and sweep nothing.
+export const getDoorSwing = (item) => {
+  const { doorType, hinge, swing, openingAngle } = getDoorSettings(item);
+  if (doorType === 'pocket') return null;
+  const closedAngle = hinge === 'left' ? 0 : 180;
+  const turn = (hinge === 'left' ? -1 : 1) * (swing === 'in' ? 1 : -1);
+  return {
+    x: hinge === 'left' ? 0 : item.width,
+    y: swing === 'in' ? 0 : item.height,
+    radius: doorType === 'bifold' ? item.width / 2 : item.width,
+    closedAngle,
+    openAngle: closedAngle + turn * openingAngle,
+    angle: openingAngle,
+  };
+};
+
+const SWING_SEGMENTS = 12;
+
+// Floor swept by a door as it opens, on the canvas - empty for pocket doors
+export const getDoorSwingArea = (item) => {
+  const swing = getDoorSwing(item);
+  if (!swing || swing.angle === 0) return [];
+  const points = [swing.x, swing.y];
+  for (let i = 0; i <= SWING_SEGMENTS; i++) {
+    const angle = ((swing.closedAngle + ((swing.openAngle - swing.closedAngle) * i) / SWING_SEGMENTS) * Math.PI) / 180;
+    points.push(swing.x + Math.cos(angle) * swing.radius, swing.y + Math.sin(angle) * swing.radius);
+  }
+  return toCanvasPoints(item, points);
+};
+
+const getFootprintBounds = (item) => getPointsBounds(getItemFootprint(item));
+
+// Puts a fixture's back (local y = 0) flush against the nearest wall it's within `distance` of,
+// turned to face into the room, and into the wall's corners when it's that close to them
+const snapToWall = (item, items, distance) => {
+  const footprint = toPairs(getItemFootprint(item));
+  const bounds = getPointsBounds(footprint.flat());
+  const cx = (bounds.minX + bounds.maxX) / 2;
+  const cy = (bounds.minY + bounds.maxY) / 2;
+  let best = null;
+
+  items.filter(isRoomItem).forEach((room) => {
+    const side = signedArea(toPairs(getRoomOutline(room))) >= 0 ? 1 : -1;
+    getRoomWalls(room).forEach((wall) => {
+      if (wall.length < item.width) return;
+      const dx = (wall.x2 - wall.x1) / wall.length;
+      const dy = (wall.y2 - wall.y1) / wall.length;
+      const along = (cx - wall.x1) * dx + (cy - wall.y1) * dy;
+      // How far the fixture's nearest edge is from the wall's face
+      const gap = Math.abs(Math.min(...footprint.map(([x, y]) => side * ((y - wall.y1) * dx - (x - wall.x1) * dy))));
+      if (along < 0 || along > wall.length || gap > distance) return;
+      if (!best || gap < best.gap) best = { wall, side, dx, dy, along, gap };
+    });
+  });
+  if (!best) return null;
+
+  const { wall, side, dx, dy } = best;
+  const maxStart = wall.length - item.width;
+  let start = Math.max(0, Math.min(maxStart, best.along - item.width / 2));
+  if (start < distance) start = 0;
+  else if (maxStart - start < distance) start = maxStart;
+  const corner = side > 0 ? start : start + item.width;
+  return {
+    ...item,
+    x: wall.x1 + dx * corner,
+    y: wall.y1 + dy * corner,
+    rotation: ((wall.angle + (side > 0 ? 0 : 180)) % 360 + 360) % 360,
+    wallDirection: { dx, dy },
+  };
+};
+
+// Nudges a fixture so its edges line up with, or butt against, edges of fixtures close by
+const snapToFixtures = (item, items, distance, axes) => {
+  const b = getFootprintBounds(item);
+  let shiftX = null;
+  let shiftY = null;
+  const closer = (shift, candidate) =>
+    Math.abs(candidate) <= distance && (shift === null || Math.abs(candidate) < Math.abs(shift)) ? candidate : shift;
+
+  items.forEach((other) => {
+    if (other.id === item.id || isRoomItem(other) || isOpeningItem(other) || isMeasureItem(other)) return;
+    const o = getFootprintBounds(other);
+    const isNear = o.minX - distance <= b.maxX && o.maxX + distance >= b.minX &&
+      o.minY - distance <= b.maxY && o.maxY + distance >= b.minY;
+    if (!isNear) return;
+    [b.minX, b.maxX].forEach((edge) => {
+      if (axes.x) [o.minX, o.maxX].forEach((target) => { shiftX = closer(shiftX, target - edge); });
+    });
+    [b.minY, b.maxY].forEach((edge) => {
+      if (axes.y) [o.minY, o.maxY].forEach((target) => { shiftY = closer(shiftY, target - edge); });
+    });
+  });
+  return shiftX || shiftY ? { ...item, x: item.x + (shiftX || 0), y: item.y + (shiftY || 0) } : item;
+};
+
+// Magnetic placement for a fixture being dragged: flush to a wall first, then lined up with
+// neighbouring fixtures along that wall (or in both directions when no wall is in reach).
+// Returns { item, free } - `item` is the one passed in when nothing snapped, and `free` says
+// which axes are still free to be placed some other way.
+export const snapFixture = (item, items, distance) => {
+  const onWall = snapToWall(item, items, distance);
+  let base = item;
+  let free = { x: true, y: true };
+  if (onWall) {
+    const { wallDirection, ...snapped } = onWall;
+    base = snapped;
+    free = { x: Math.abs(wallDirection.dx) > 0.999, y: Math.abs(wallDirection.dy) > 0.999 };
+  }
+  const snapped = snapToFixtures(base, items, distance, free);
+  return {
+    item: snapped,
+    free: { x: free.x && snapped.x === base.x, y: free.y && snapped.y === base.y },
+  };
+};
+
+// Alignment guides - the edges and centre lines of other items that a dragged selection can line
+// up with. Rooms only offer their centre lines; their walls are handled by snapFixture.
+export const getAlignmentTargets = (items, excludeIds) => items
+  .filter((item) => !excludeIds.includes(item.id) && !isMeasureItem(item))
+  .map((item) => (isRoomItem(item)
+    ? { ...getPointsBounds(toCanvasPoints(item, getRoomOutline(item))), centreOnly: true }
+    : { ...getFootprintBounds(item), centreOnly: false }));
+
+const getAlignLines = (bounds, axis, centreOnly = false) => {
+  const [min, max] = axis === 'x' ? [bounds.minX, bounds.maxX] : [bounds.minY, bounds.maxY];
+  return centreOnly ? [(min + max) / 2] : [min, (min + max) / 2, max];
+};
+
+// Shift that lines the dragged bounds up with the closest target within `distance`: { dx, dy }, null when none
+export const getAlignmentSnap = (bounds, targets, distance) => {
+  const closest = (axis) => {
+    let best = null;
+    getAlignLines(bounds, axis).forEach((line) => {
+      targets.forEach((target) => {
+        getAlignLines(target, axis, target.centreOnly).forEach((targetLine) => {
+          const shift = targetLine - line;
+          if (Math.abs(shift) <= distance && (best === null || Math.abs(shift) < Math.abs(best))) best = shift;
+        });
+      });
+    });
+    return best;
+  };
+  return { dx: closest('x'), dy: closest('y') };
+};
+
+// Guide lines for every edge or centre the dragged bounds currently line up with, as [x1, y1, x2, y2]
+export const getAlignmentGuides = (bounds, targets, tolerance = 0.5) => {
+  const guides = [];
+  targets.forEach((target) => {
+    getAlignLines(bounds, 'x').forEach((line) => {
+      if (getAlignLines(target, 'x', target.centreOnly).some((targetLine) => Math.abs(targetLine - line) <= tolerance)) {
+        guides.push([line, Math.min(bounds.minY, target.minY), line, Math.max(bounds.maxY, target.maxY)]);
+      }
+    });
+    getAlignLines(bounds, 'y').forEach((line) => {
+      if (getAlignLines(target, 'y', target.centreOnly).some((targetLine) => Math.abs(targetLine - line) <= tolerance)) {
+        guides.push([Math.min(bounds.minX, target.minX), line, Math.max(bounds.maxX, target.maxX), line]);
+      }
+    });
+  });
+  return guides;
+};
+
+// Clear gaps from the dragged bounds to the nearest item on each side that it faces:
+// [{ side: 'left' | 'right' | 'above' | 'below', points: [x1, y1, x2, y2], length }]
+export const getNeighbourGaps = (bounds, targets) => {
+  const nearest = {};
+  const consider = (side, length, points) => {
+    if (length >= 0 && (!nearest[side] || length < nearest[side].length)) nearest[side] = { side, points, length };
+  };
+  targets.filter((target) => !target.centreOnly).forEach((target) => {
+    if (target.minY < bounds.maxY && target.maxY > bounds.minY) {
+      const y = (Math.max(target.minY, bounds.minY) + Math.min(target.maxY, bounds.maxY)) / 2;
+      consider('right', target.minX - bounds.maxX, [bounds.maxX, y, target.minX, y]);
+      consider('left', bounds.minX - target.maxX, [target.maxX, y, bounds.minX, y]);
+    }
+    if (target.minX < bounds.maxX && target.maxX > bounds.minX) {
+      const x = (Math.max(target.minX, bounds.minX) + Math.min(target.maxX, bounds.maxX)) / 2;
+      consider('below', target.minY - bounds.maxY, [x, bounds.maxY, x, target.minY]);
+      consider('above', bounds.minY - target.maxY, [x, target.maxY, x, bounds.minY]);
+    }
+  });
+  return Object.values(nearest);
+};
+
+// Distance along a ray to the nearest edge of a closed outline, or null when it hits none
+const rayToOutline = (origin, direction, points) => {
+  let nearest = null;
+  toPairs(points).forEach(([x1, y1], i, pairs) => {
+    const [x2, y2] = pairs[(i + 1) % pairs.length];
+    const ex = x2 - x1;
+    const ey = y2 - y1;
+    const denom = direction.x * ey - direction.y * ex;
+    if (Math.abs(denom) < 1e-9) return;
+    const t = ((x1 - origin.x) * ey - (y1 - origin.y) * ex) / denom;
+    const u = ((x1 - origin.x) * direction.y - (y1 - origin.y) * direction.x) / denom;
+    if (t >= 0 && u >= 0 && u <= 1 && (nearest === null || t < nearest)) nearest = t;
+  });
+  return nearest;
+};
+
+const SIDE_DIRECTIONS = {
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  above: { x: 0, y: -1 },
+  below: { x: 0, y: 1 },
+};
+
+// Dimension lines from a fixture to the walls of the room it's in (left, right, above and below)
+// and to its nearest neighbouring fixture: [{ kind: 'wall' | 'fixture', side, points, length }]
+export const getClearances = (item, items) => {
+  const b = getFootprintBounds(item);
+  const cx = (b.minX + b.maxX) / 2;
+  const cy = (b.minY + b.maxY) / 2;
+  const clearances = [];
+
+  const room = findContainingRoom(item, items);
+  if (room) {
+    const outline = toCanvasPoints(room, getRoomOutline(room));
+    const origins = { left: { x: b.minX, y: cy }, right: { x: b.maxX, y: cy }, above: { x: cx, y: b.minY }, below: { x: cx, y: b.maxY } };
+    Object.entries(SIDE_DIRECTIONS).forEach(([side, direction]) => {
+      const origin = origins[side];
+      const length = rayToOutline(origin, direction, outline);
+      if (length === null) return;
+      clearances.push({
+        kind: 'wall',
+        side,
+        length,
+        points: [origin.x, origin.y, origin.x + direction.x * length, origin.y + direction.y * length],
+      });
+    });
+  }
+
+  const fixtures = items.filter((other) => other.id !== item.id && !isRoomItem(other) && !isOpeningItem(other) && !isMeasureItem(other));
+  const gaps = getNeighbourGaps(b, fixtures.map((other) => ({ ...getFootprintBounds(other), centreOnly: false })));
+  const nearest = gaps.reduce((best, gap) => (!best || gap.length < best.length ? gap : best), null);
+  if (nearest) clearances.push({ kind: 'fixture', ...nearest });
+  return clearances;
+};
+
+// Moves an item along the line of a clearance so it measures `length` instead
+export const setClearance = (item, clearance, length) => {
+  const direction = SIDE_DIRECTIONS[clearance.side];
+  const change = clearance.length - length;
+  return { ...item, x: item.x + direction.x * change, y: item.y + direction.y * change };
+};
+
+// Measurements are annotations: a line from (x, y) along local x for `width`, turned by `rotation`
+const MEASURE_HEIGHT = 10;
+
+export const isMeasureItem = (item) => item.type === 'measure';
+
+export const createMeasureItem = (start, end, attrs) => ({
+  ...attrs,
+  type: 'measure',
+  x: start.x,
+  y: start.y,
+  width: Math.hypot(end.x - start.x, end.y - start.y),
+  height: MEASURE_HEIGHT,
+  rotation: (Math.atan2(end.y - start.y, end.x - start.x) * 180) / Math.PI,
+});
+
+// Closed outlines a measuring point can snap to - fixture footprints, and both faces of room walls
+const getSnapOutlines = (items) => items.filter((item) => !isMeasureItem(item)).flatMap((item) => {
+  if (!isRoomItem(item)) return [getItemFootprint(item)];
+  const outline = getRoomOutline(item);
+  return [toCanvasPoints(item, outline), toCanvasPoints(item, offsetPolygon(outline, getWallThickness(item)))];
+});
+
+// The nearest corner within `distance` of a point, else the nearest point on an edge, else null
+export const snapToOutlines = (point, items, distance) => {
+  const outlines = getSnapOutlines(items).map(toPairs);
+  let corner = null;
+  let edge = null;
+  outlines.forEach((pairs) => pairs.forEach(([x1, y1], i) => {
+    const cornerDistance = Math.hypot(point.x - x1, point.y - y1);
+    if (cornerDistance <= distance && (!corner || cornerDistance < corner.distance)) corner = { x: x1, y: y1, distance: cornerDistance };
+
+    const [x2, y2] = pairs[(i + 1) % pairs.length];
+    const lengthSq = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+    if (lengthSq === 0) return;
+    const t = Math.max(0, Math.min(1, ((point.x - x1) * (x2 - x1) + (point.y - y1) * (y2 - y1)) / lengthSq));
+    const x = x1 + (x2 - x1) * t;
+    const y = y1 + (y2 - y1) * t;
+    const edgeDistance = Math.hypot(point.x - x, point.y - y);
+    if (edgeDistance <= distance && (!edge || edgeDistance < edge.distance)) edge = { x, y, distance: edgeDistance };
+  }));
+  const snapped = corner || edge;
+  return snapped && { x: snapped.x, y: snapped.y };
+};
+
+// Activity space in front of a fixture (local +y, the side facing into the room), after UK guidance.
+// Items may set their own `clearanceWidth`/`clearanceDepth`; a depth of 0 turns the zone off.
+export const DEFAULT_CLEARANCE_ZONES_MM = {
+  toilet: { width: 600, depth: 800 },
+  sink: { width: 1000, depth: 700 },
+  bath: { width: 1100, depth: 700 },
+  shower: { width: 900, depth: 700 },
+};
+const OVERLAP_TOLERANCE = 0.5; // things may touch without counting as overlapping
+
+// The zone as a box in the fixture's own coordinates, or null when it has none
+export const getClearanceZone = (item) => {
+  const defaults = DEFAULT_CLEARANCE_ZONES_MM[item.type];
+  const width = Number.isFinite(item.clearanceWidth) ? item.clearanceWidth : defaults && mmToPx(defaults.width);
+  const depth = Number.isFinite(item.clearanceDepth) ? item.clearanceDepth : defaults && mmToPx(defaults.depth);
+  if (!(width > 0) || !(depth > 0)) return null;
+  return { x: (item.width - width) / 2, y: item.height, width, height: depth };
+};
+
+const pointInPolygon = (x, y, pairs) => pairs.reduce((inside, [x1, y1], i) => {
+  const [x2, y2] = pairs[(i + 1) % pairs.length];
+  const crosses = (y1 > y) !== (y2 > y) && x < ((x2 - x1) * (y - y1)) / (y2 - y1) + x1;
+  return crosses ? !inside : inside;
+}, false);
+
+const segmentsCross = ([ax, ay], [bx, by], [cx, cy], [dx, dy]) => {
+  const side = (px, py, qx, qy, rx, ry) => Math.sign((qx - px) * (ry - py) - (qy - py) * (rx - px));
+  return side(ax, ay, bx, by, cx, cy) * side(ax, ay, bx, by, dx, dy) < 0 &&
+    side(cx, cy, dx, dy, ax, ay) * side(cx, cy, dx, dy, bx, by) < 0;
+};
+
+const edgesCross = (pa, pb) =>
+  pa.some((p, i) => pb.some((q, j) => segmentsCross(p, pa[(i + 1) % pa.length], q, pb[(j + 1) % pb.length])));
+
+// Whether two closed outlines overlap - either may be concave
+export const polygonsOverlap = (a, b) => {
+  const pa = toPairs(a);
+  const pb = toPairs(b);
+  if (pa.some(([x, y]) => pointInPolygon(x, y, pb)) || pb.some(([x, y]) => pointInPolygon(x, y, pa))) return true;
+  return edgesCross(pa, pb);
+};
+
+// Whether an outline lies wholly inside another, e.g. a fixture on a room's floor
+export const isWithinOutline = (points, outline) => {
+  const inner = toPairs(points);
+  const outer = toPairs(outline);
+  return inner.every(([x, y]) => pointInPolygon(x, y, outer)) && !edgesCross(inner, outer);
+};
+
+// A box in an item's own coordinates as a canvas outline, pulled in so that touching doesn't count as overlapping
+const getInsetOutline = (item, { x, y, width, height }) => {
+  const t = OVERLAP_TOLERANCE;
+  return toCanvasPoints(item, [x + t, y + t, x + width - t, y + t, x + width - t, y + height - t, x + t, y + height - t]);
+};
+
+// A fixture's footprint for overlap checks
+export const getOverlapOutline = (item) => getInsetOutline(item, { x: 0, y: 0, width: item.width, height: item.height });
+
+// Fixture pairs that are meant to sit on top of each other
+export const ALLOWED_OVERLAPS = [['shower-head', 'shower'], ['bath-taps', 'bath'], ['mirror', 'sink']];
+
+// Mounted on the ceiling, so clear of everything on the floor and walls
+export const isCeilingItem = (item) => item.type === 'light';
+
+const isAllowedOverlap = (a, b) => ALLOWED_OVERLAPS.some(([first, second]) =>
+  (a.type === first && b.type === second) || (a.type === second && b.type === first));
+
+const canCollide = (item) => !isRoomItem(item) && !isOpeningItem(item) && !isMeasureItem(item) && !isCeilingItem(item);
+
+export const fixturesCollide = (a, b) => a.id !== b.id && canCollide(a) && canCollide(b) && !isAllowedOverlap(a, b) &&
+  polygonsOverlap(getOverlapOutline(a), getOverlapOutline(b));
+
+// Whether a fixture is partly in a room's walls - fixtures wholly outside the room don't count
+export const hitsRoomWalls = (item, room) => {
+  const outline = getOverlapOutline(item);
+  return polygonsOverlap(outline, getItemFootprint(room)) && !isWithinOutline(outline, toCanvasPoints(room, getRoomOutline(room)));
+};
+
+// [{ kind: 'fixture' | 'wall', ids: [fixtureId, otherId] }] - `otherId` is the room for walls
+export const getCollisions = (items) => {
+  const fixtures = items.filter(canCollide);
+  const rooms = items.filter(isRoomItem);
+  return fixtures.flatMap((item, i) => [
+    ...fixtures.slice(i + 1).filter((other) => fixturesCollide(item, other)).map((other) => ({ kind: 'fixture', ids: [item.id, other.id] })),
+    ...rooms.filter((room) => hitsRoomWalls(item, room)).map((room) => ({ kind: 'wall', ids: [item.id, room.id] })),
+  ]);
+};
+
+// Everything each fixture's clearance zone runs into: { [itemId]: [{ kind: 'fixture' | 'wall' | 'door', id }] }
+export const getClearanceZoneConflicts = (items) => {
+  const conflicts = {};
+  items.forEach((item) => {
+    const zone = !isRoomItem(item) && getClearanceZone(item);
+    if (!zone) return;
+    const outline = getInsetOutline(item, zone);
+    const found = [];
+
+    items.forEach((other) => {
+      if (other.id === item.id || isRoomItem(other) || isMeasureItem(other) || isCeilingItem(other)) return;
+      if (other.type === 'door') {
+        const swing = getDoorSwingArea(other);
+        if (swing.length && polygonsOverlap(outline, swing)) found.push({ kind: 'door', id: other.id });
+      } else if (!isOpeningItem(other) && polygonsOverlap(outline, getItemFootprint(other))) {
+        found.push({ kind: 'fixture', id: other.id });
+      }
+    });
+
+    // Any part of the zone outside the room's floor is in a wall
+    const room = findContainingRoom(item, items);
+    if (room && !isWithinOutline(outline, toCanvasPoints(room, getRoomOutline(room)))) {
+      found.push({ kind: 'wall', id: room.id });
+    }
+
+    if (found.length) conflicts[item.id] = found;
+  });
+  return conflicts;
+};
+
+// Bathroom electrical zones (BS 7671 section 701), in plan. Zone 0 is the inside of a bath or shower tray and
+// zone 1 sits directly above it; without a tray, zone 1 reaches 1200mm from the shower head. Zone 2 is 600mm beyond zone 1.
+const TRAYLESS_ZONE_1_RADIUS_MM = 1200;
+const ZONE_2_REACH_MM = 600;
+const ARC_SEGMENTS = 8; // per quarter turn
+
+// A box with its corners rounded off, as a flat point list (clockwise)
+export const roundedBoxPoints = (x, y, width, height, radius) => {
+  const corners = [
+    [x + width - radius, y + radius, -90],
+    [x + width - radius, y + height - radius, 0],
+    [x + radius, y + height - radius, 90],
+    [x + radius, y + radius, 180],
+  ];
+  return corners.flatMap(([cx, cy, start]) => Array.from({ length: ARC_SEGMENTS + 1 }, (_, i) => {
+    const angle = ((start + (90 * i) / ARC_SEGMENTS) * Math.PI) / 180;
+    return [cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius];
+  }).flat());
+};
+
+// The lowest zone each kind of electrical item is rated for, for items without their own `zoneRating`
+export const DEFAULT_ZONE_RATINGS = {
+  radiator: 2,
+  'towel-rail': 2,
+  light: 1,
+};
+export const ZONE_RATING_OUTSIDE = 3; // rated for outside the zones only
+
+// The lowest zone an electrical item may reach into, or null when it isn't electrical
+export const getZoneRating = (item) => {
+  if (Number.isInteger(item.zoneRating)) return item.zoneRating;
+  return DEFAULT_ZONE_RATINGS[item.type] ?? null;
+};
+
+// [{ zone: 0 | 1 | 2, points, sourceId }] in canvas coordinates - several sources may cover the same spot
+export const getElectricalZones = (items) => {
+  const trays = items.filter((item) => item.type === 'bath' || item.type === 'shower');
+  const reach = mmToPx(ZONE_2_REACH_MM);
+
+  return items.flatMap((item) => {
+    if (item.type === 'bath' || item.type === 'shower') {
+      const footprint = getItemFootprint(item);
+      return [
+        { zone: 2, points: toCanvasPoints(item, roundedBoxPoints(-reach, -reach, item.width + reach * 2, item.height + reach * 2, reach)), sourceId: item.id },
+        { zone: 1, points: footprint, sourceId: item.id },
+        { zone: 0, points: footprint, sourceId: item.id },
+      ];
+    }
+    if (item.type === 'shower-head') {
+      // A head over a tray is covered by the tray's zones
+      const centre = toCanvasPoints(item, [item.width / 2, item.height / 2]);
+      if (trays.some((tray) => pointInPolygon(centre[0], centre[1], toPairs(getItemFootprint(tray))))) return [];
+      const radius = mmToPx(TRAYLESS_ZONE_1_RADIUS_MM);
+      const circle = (r) => toCanvasPoints(item, roundedBoxPoints(item.width / 2 - r, item.height / 2 - r, r * 2, r * 2, r));
+      return [
+        { zone: 2, points: circle(radius + reach), sourceId: item.id },
+        { zone: 1, points: circle(radius), sourceId: item.id },
+      ];
+    }
+    return [];
+  });
+};
+
+// The lowest-numbered zone an item reaches into, or null when it's clear of them all.
+// Zone 0 is inside the bath or tray, so a ceiling item above it is in zone 1.
+export const getItemElectricalZone = (item, zones) => {
+  const outline = getOverlapOutline(item);
+  return zones.reduce((lowest, zone) => (
+    zone.sourceId !== item.id && !(zone.zone === 0 && isCeilingItem(item)) &&
+    (lowest === null || zone.zone < lowest) && polygonsOverlap(outline, zone.points)
+      ? zone.zone
+      : lowest
+  ), null);
+};
@@ -0,0 +1,355 @@
+import { describe, it, expect } from 'vitest';
+import { getDoorSettings, getDoorSwing, getDoorSwingArea, getPointsBounds, keepInsideRoom, snapFixture, getAlignmentTargets, getAlignmentSnap, getAlignmentGuides, getNeighbourGaps, getClearances, setClearance, getClearanceZone, getClearanceZoneConflicts, getElectricalZones, getItemElectricalZone, fixturesCollide, hitsRoomWalls, getCollisions, getItemsInRect, getExportBounds, EXPORT_PADDING } from './geometry';
+
+const door = (extra = {}) => ({ id: 'door', type: 'door', x: 100, y: 300, width: 100, height: 15, rotation: 0, ...extra });
+
+// Rounds away floating-point noise from the trigonometry
+const boundsOf = (points) => Object.fromEntries(Object.entries(getPointsBounds(points)).map(([key, value]) => [key, Math.round(value)]));
+
+describe('getDoorSettings', () => {
+  it('defaults to a left-hinged door opening inward through 90°', () => {
+    expect(getDoorSettings(door())).toEqual({ doorType: 'hinged', hinge: 'left', swing: 'in', openingAngle: 90 });
+  });
+
+  it('falls back on unknown values and keeps the angle between 0 and 180', () => {
+    expect(getDoorSettings(door({ doorType: 'revolving', hinge: 'middle', swing: 'both', openingAngle: 270 })))
+      .toEqual({ doorType: 'hinged', hinge: 'left', swing: 'in', openingAngle: 180 });
+    expect(getDoorSettings(door({ openingAngle: -30 })).openingAngle).toBe(0);
+  });
+});
+
+describe('getDoorSwing', () => {
+  it('hangs the door from the hinge side and turns it into the room', () => {
+    expect(getDoorSwing(door())).toEqual({ x: 0, y: 0, radius: 100, closedAngle: 0, openAngle: -90, angle: 90 });
+    expect(getDoorSwing(door({ hinge: 'right' }))).toEqual({ x: 100, y: 0, radius: 100, closedAngle: 180, openAngle: 270, angle: 90 });
+  });
+
+  it('swings out from the far face of the wall', () => {
+    expect(getDoorSwing(door({ swing: 'out' }))).toMatchObject({ x: 0, y: 15, openAngle: 90 });
+    expect(getDoorSwing(door({ hinge: 'right', swing: 'out' }))).toMatchObject({ x: 100, y: 15, openAngle: 90 });
+  });
+
+  it('sweeps half the width for a bi-fold and nothing for a pocket door', () => {
+    expect(getDoorSwing(door({ doorType: 'bifold' })).radius).toBe(50);
+    expect(getDoorSwing(door({ doorType: 'pocket' }))).toBeNull();
+  });
+});
+
+describe('getDoorSwingArea', () => {
+  it('covers a quarter circle in front of the door', () => {
+    expect(boundsOf(getDoorSwingArea(door()))).toEqual({ minX: 100, minY: 200, maxX: 200, maxY: 300 });
+    expect(boundsOf(getDoorSwingArea(door({ swing: 'out' })))).toEqual({ minX: 100, minY: 315, maxX: 200, maxY: 415 });
+  });
+
+  it('grows with the opening angle', () => {
+    expect(boundsOf(getDoorSwingArea(door({ openingAngle: 180 })))).toEqual({ minX: 0, minY: 200, maxX: 200, maxY: 300 });
+    expect(boundsOf(getDoorSwingArea(door({ openingAngle: 45 })))).toEqual({ minX: 100, minY: 229, maxX: 200, maxY: 300 });
+  });
+
+  it('turns with the door', () => {
+    // A quarter turn clockwise about the door's corner points the swing along +x
+    expect(boundsOf(getDoorSwingArea(door({ rotation: 90 })))).toEqual({ minX: 100, minY: 300, maxX: 200, maxY: 400 });
+  });
+
+  it('is empty for pocket doors and doors that do not open', () => {
+    expect(getDoorSwingArea(door({ doorType: 'pocket' }))).toEqual([]);
+    expect(getDoorSwingArea(door({ openingAngle: 0 }))).toEqual([]);
+  });
+});
+
+describe('keepInsideRoom', () => {
+  const cupboard = (x, y) => ({ id: 'c', type: 'cupboard', x, y, width: 40, height: 40, rotation: 0 });
+  const room = { id: 'room', type: 'room-square', x: 0, y: 0, width: 400, height: 300, rotation: 0, wallThickness: 50 };
+  const position = ({ x, y }) => ({ x: Math.round(x * 1000) / 1000, y: Math.round(y * 1000) / 1000 });
+
+  it('pushes a fixture in a wall back to its inner face, but leaves ones placed well outside', () => {
+    expect(keepInsideRoom(cupboard(-20, 100), room)).toMatchObject({ x: 0, y: 100 });
+    expect(keepInsideRoom(cupboard(370, 280), room)).toMatchObject({ x: 360, y: 260 });
+    expect(keepInsideRoom(cupboard(-100, 100), room)).toMatchObject({ x: -100, y: 100 });
+    const inside = cupboard(100, 100);
+    expect(keepInsideRoom(inside, room)).toBe(inside);
+  });
+
+  it('clears the nearer wall of an L-shaped room\'s notch', () => {
+    const lRoom = { ...room, type: 'room-l', width: 500, height: 500, cutWidth: 200, cutDepth: 200 };
+    expect(keepInsideRoom(cupboard(290, 270), lRoom)).toMatchObject({ x: 290, y: 260 });
+    expect(keepInsideRoom(cupboard(270, 290), lRoom)).toMatchObject({ x: 260, y: 290 });
+  });
+
+  it('follows the slanted walls of a drawn room', () => {
+    const triangle = { ...room, type: 'room-polygon', width: 400, height: 400, points: [0, 0, 400, 0, 0, 400] };
+    expect(position(keepInsideRoom(cupboard(180, 180), triangle))).toEqual({ x: 160, y: 160 });
+  });
+
+  it('follows a rotated room\'s walls', () => {
+    // Turned a quarter about its top-left corner, it covers 0-400 across and 0-300 down
+    const turned = { ...room, x: 400, width: 300, height: 400, rotation: 90 };
+    expect(position(keepInsideRoom(cupboard(390, 100), turned))).toEqual({ x: 360, y: 100 });
+  });
+});
+
+describe('snapFixture', () => {
+  const room = { id: 'room', type: 'room-square', x: 0, y: 0, width: 600, height: 600, rotation: 0 };
+  const cupboard = (id, x, y) => ({ id, type: 'cupboard', x, y, width: 80, height: 60, rotation: 0 });
+  const placement = ({ item: { x, y, rotation } }) => ({ x, y, rotation });
+
+  it('pulls a fixture flush against a wall in reach', () => {
+    expect(placement(snapFixture(cupboard('a', 200, 5), [room], 10))).toEqual({ x: 200, y: 0, rotation: 0 });
+    expect(placement(snapFixture(cupboard('a', 200, 5), [room], 3))).toEqual({ x: 200, y: 5, rotation: 0 });
+  });
+
+  it('tucks it into the corner when it is that close to one', () => {
+    expect(placement(snapFixture(cupboard('a', 6, 4), [room], 10))).toEqual({ x: 0, y: 0, rotation: 0 });
+  });
+
+  it('turns it to face into the room', () => {
+    // Against the left wall, turned about its corner, still centred on y 330
+    expect(placement(snapFixture(cupboard('a', 5, 300), [room], 10))).toEqual({ x: 0, y: 370, rotation: 270 });
+  });
+
+  it('lines it up with neighbouring fixtures', () => {
+    const neighbour = cupboard('b', 200, 200);
+    expect(placement(snapFixture(cupboard('a', 203, 265), [room, neighbour], 10))).toEqual({ x: 200, y: 260, rotation: 0 });
+    expect(placement(snapFixture(cupboard('a', 250, 300), [room, neighbour], 10))).toEqual({ x: 250, y: 300, rotation: 0 });
+  });
+
+  it('butts it against a neighbour along the same wall', () => {
+    expect(placement(snapFixture(cupboard('a', 383, 3), [room, cupboard('b', 300, 0)], 10))).toEqual({ x: 380, y: 0, rotation: 0 });
+  });
+
+  it('says which axes are still free to be placed', () => {
+    expect(snapFixture(cupboard('a', 250, 300), [room], 10)).toEqual({ item: cupboard('a', 250, 300), free: { x: true, y: true } });
+    expect(snapFixture(cupboard('a', 200, 5), [room], 10).free).toEqual({ x: true, y: false });
+    expect(snapFixture(cupboard('a', 383, 3), [room, cupboard('b', 300, 0)], 10).free).toEqual({ x: false, y: false });
+  });
+});
+
+describe('alignment', () => {
+  const room = { id: 'room', type: 'room-square', x: 0, y: 0, width: 600, height: 400, rotation: 0 };
+  const basin = { id: 'basin', type: 'sink', x: 100, y: 0, width: 100, height: 60, rotation: 0 };
+  const targets = getAlignmentTargets([room, basin, { ...basin, id: 'dragged' }], ['dragged']);
+  // Bounds of the item being dragged
+  const dragged = (minX, minY, width = 80, height = 60) => ({ minX, minY, maxX: minX + width, maxY: minY + height });
+
+  it('offers the edges of fixtures and only the centre lines of rooms', () => {
+    expect(targets).toEqual([
+      { minX: 0, minY: 0, maxX: 600, maxY: 400, centreOnly: true },
+      { minX: 100, minY: 0, maxX: 200, maxY: 60, centreOnly: false },
+    ]);
+  });
+
+  it('shifts the closest edge or centre onto a target within reach', () => {
+    // Left edge 3 px off the basin's, centre 4 px off the room's centre line
+    expect(getAlignmentSnap(dragged(103, 166), targets, 5)).toEqual({ dx: -3, dy: 4 });
+    expect(getAlignmentSnap(dragged(103, 166), targets, 2)).toEqual({ dx: null, dy: null });
+    // Centres line up: 150 vs 152
+    expect(getAlignmentSnap(dragged(112, 300), targets, 5).dx).toBe(-2);
+  });
+
+  it('draws a guide across both items for each line they share', () => {
+    expect(getAlignmentGuides(dragged(100, 250), targets)).toEqual([[100, 0, 100, 310]]);
+    expect(getAlignmentGuides(dragged(260, 170), targets)).toEqual([[300, 0, 300, 400], [0, 200, 600, 200]]);
+  });
+
+  it('measures the clear gap to the nearest fixture on each side', () => {
+    expect(getNeighbourGaps(dragged(100, 200), targets)).toEqual([{ side: 'above', points: [140, 60, 140, 200], length: 140 }]);
+    expect(getNeighbourGaps(dragged(250, 20), targets)).toEqual([{ side: 'left', points: [200, 40, 250, 40], length: 50 }]);
+  });
+});
+
+describe('getClearances', () => {
+  const room = { id: 'room', type: 'room-square', x: 0, y: 0, width: 600, height: 400, rotation: 0 };
+  const cupboard = { id: 'cupboard', type: 'cupboard', x: 300, y: 200, width: 80, height: 60, rotation: 0 };
+
+  it('measures from the fixture\'s sides to the walls of its room', () => {
+    expect(getClearances(cupboard, [room, cupboard])).toEqual([
+      { kind: 'wall', side: 'left', length: 300, points: [300, 230, 0, 230] },
+      { kind: 'wall', side: 'right', length: 220, points: [380, 230, 600, 230] },
+      { kind: 'wall', side: 'above', length: 200, points: [340, 200, 340, 0] },
+      { kind: 'wall', side: 'below', length: 140, points: [340, 260, 340, 400] },
+    ]);
+  });
+
+  it('adds the gap to the nearest neighbouring fixture', () => {
+    const neighbour = { ...cupboard, id: 'neighbour', x: 420, y: 210 };
+    expect(getClearances(cupboard, [room, cupboard, neighbour]).at(-1))
+      .toEqual({ kind: 'fixture', side: 'right', length: 40, points: [380, 235, 420, 235] });
+  });
+
+  it('has no wall dimensions outside every room', () => {
+    expect(getClearances({ ...cupboard, x: 700 }, [room])).toEqual([]);
+  });
+
+  it('moves the fixture so a clearance measures the new length', () => {
+    const [left, , above] = getClearances(cupboard, [room, cupboard]);
+    expect(setClearance(cupboard, left, 250)).toMatchObject({ x: 250, y: 200 });
+    expect(setClearance(cupboard, above, 250)).toMatchObject({ x: 300, y: 250 });
+  });
+});
+
+describe('getClearanceZone', () => {
+  const toilet = (extra = {}) => ({ id: 'wc', type: 'toilet', x: 100, y: 100, width: 65, height: 85, rotation: 0, ...extra });
+
+  it('centres the type\'s default zone in front of the fixture', () => {
+    // 600 × 800 mm for a WC
+    expect(getClearanceZone(toilet())).toEqual({ x: -117.5, y: 85, width: 300, height: 400 });
+  });
+
+  it('uses the fixture\'s own size when it has one', () => {
+    expect(getClearanceZone(toilet({ clearanceWidth: 65, clearanceDepth: 100 }))).toEqual({ x: 0, y: 85, width: 65, height: 100 });
+  });
+
+  it('has none when either side is 0, or for types without a default', () => {
+    expect(getClearanceZone(toilet({ clearanceDepth: 0 }))).toBeNull();
+    expect(getClearanceZone({ id: 'c', type: 'cupboard', x: 0, y: 0, width: 80, height: 60 })).toBeNull();
+    expect(getClearanceZone({ id: 'c', type: 'cupboard', x: 0, y: 0, width: 80, height: 60, clearanceWidth: 80, clearanceDepth: 50 }))
+      .toEqual({ x: 0, y: 60, width: 80, height: 50 });
+  });
+});
+
+describe('getClearanceZoneConflicts', () => {
+  const room = { id: 'room', type: 'room-square', x: 0, y: 0, width: 600, height: 600, rotation: 0, wallThickness: 50 };
+  // Zone 100 × 100 px straight below the basin: x 250-350, y 160-260
+  const basin = { id: 'basin', type: 'sink', x: 250, y: 100, width: 100, height: 60, rotation: 0, clearanceWidth: 100, clearanceDepth: 100 };
+
+  it('is empty when the zone is clear', () => {
+    expect(getClearanceZoneConflicts([room, basin])).toEqual({});
+  });
+
+  it('lists fixtures standing in the zone', () => {
+    const cupboard = { id: 'cupboard', type: 'cupboard', x: 300, y: 200, width: 80, height: 60, rotation: 0 };
+    expect(getClearanceZoneConflicts([room, basin, cupboard])).toEqual({ basin: [{ kind: 'fixture', id: 'cupboard' }] });
+  });
+
+  it('counts fixtures that only touch the zone\'s edge as clear', () => {
+    const cupboard = { id: 'cupboard', type: 'cupboard', x: 350, y: 200, width: 80, height: 60, rotation: 0 };
+    expect(getClearanceZoneConflicts([room, basin, cupboard])).toEqual({});
+  });
+
+  it('lists doors swinging into the zone, but not ceiling lights over it', () => {
+    const door = { id: 'door', type: 'door', x: 250, y: 330, width: 100, height: 15, rotation: 0 };
+    const light = { id: 'light', type: 'light', x: 290, y: 200, width: 20, height: 20, rotation: 0 };
+    expect(getClearanceZoneConflicts([room, basin, door, light])).toEqual({ basin: [{ kind: 'door', id: 'door' }] });
+  });
+
+  it('flags a zone running into the room\'s walls', () => {
+    const nearWall = { ...basin, y: 480 };
+    expect(getClearanceZoneConflicts([room, nearWall])).toEqual({ basin: [{ kind: 'wall', id: 'room' }] });
+  });
+
+  it('turns the zone with its fixture', () => {
+    // Turned half a turn about its corner the basin covers y 80-140 and faces up the room, into the top wall
+    const turned = { ...basin, x: 350, y: 140, rotation: 180 };
+    expect(getClearanceZoneConflicts([room, turned])).toEqual({ basin: [{ kind: 'wall', id: 'room' }] });
+    expect(getClearanceZoneConflicts([room, { ...turned, y: 300 }])).toEqual({});
+  });
+});
+
+describe('electrical zones', () => {
+  const bath = { id: 'bath', type: 'bath', x: 0, y: 0, width: 200, height: 90, rotation: 0 };
+  const head = { id: 'head', type: 'shower-head', x: 400, y: 400, width: 40, height: 40, rotation: 0 };
+  const zonesOf = (items) => getElectricalZones(items).map(({ zone, points, sourceId }) => [sourceId, zone, boundsOf(points)]);
+
+  it('puts zones 0 and 1 over a bath and zone 2 600 mm around it', () => {
+    expect(zonesOf([bath])).toEqual([
+      ['bath', 2, { minX: -300, minY: -300, maxX: 500, maxY: 390 }],
+      ['bath', 1, { minX: 0, minY: 0, maxX: 200, maxY: 90 }],
+      ['bath', 0, { minX: 0, minY: 0, maxX: 200, maxY: 90 }],
+    ]);
+  });
+
+  it('rings a shower head without a tray with zone 1 to 1200 mm and zone 2 beyond', () => {
+    expect(zonesOf([head])).toEqual([
+      ['head', 2, { minX: -480, minY: -480, maxX: 1320, maxY: 1320 }],
+      ['head', 1, { minX: -180, minY: -180, maxX: 1020, maxY: 1020 }],
+    ]);
+    expect(zonesOf([bath, { ...head, x: 80, y: 20 }]).map(([sourceId]) => sourceId)).toEqual(['bath', 'bath', 'bath']);
+  });
+
+  it('finds the lowest zone an item reaches into', () => {
+    const zones = getElectricalZones([bath]);
+    const item = (x, y, extra = {}) => ({ id: 'item', type: 'radiator', x, y, width: 50, height: 12, rotation: 0, ...extra });
+    expect(getItemElectricalZone(item(90, 30), zones)).toBe(0);
+    expect(getItemElectricalZone(item(250, 30), zones)).toBe(2);
+    expect(getItemElectricalZone(item(600, 30), zones)).toBeNull();
+    expect(getItemElectricalZone(bath, zones)).toBeNull();
+  });
+
+  it('counts a ceiling light above a bath as zone 1', () => {
+    const light = { id: 'light', type: 'light', x: 90, y: 30, width: 20, height: 20, rotation: 0 };
+    expect(getItemElectricalZone(light, getElectricalZones([bath]))).toBe(1);
+  });
+});
+
+describe('collisions', () => {
+  const room = { id: 'room', type: 'room-square', x: 0, y: 0, width: 600, height: 400, rotation: 0, wallThickness: 50 };
+  const cupboard = (id, x, y, extra = {}) => ({ id, type: 'cupboard', x, y, width: 80, height: 60, rotation: 0, ...extra });
+
+  it('flags overlapping fixtures, but not ones that only touch', () => {
+    expect(fixturesCollide(cupboard('a', 100, 100), cupboard('b', 150, 120))).toBe(true);
+    expect(fixturesCollide(cupboard('a', 100, 100), cupboard('b', 180, 100))).toBe(false);
+  });
+
+  it('uses the rotated outline', () => {
+    // Turned a quarter about its corner, b covers x 120-180 and y 20-100, clear of a's box
+    expect(fixturesCollide(cupboard('a', 100, 100), cupboard('b', 180, 20, { rotation: 90 }))).toBe(false);
+    expect(fixturesCollide(cupboard('a', 100, 100), cupboard('b', 180, 60, { rotation: 90 }))).toBe(true);
+  });
+
+  it('allows intended overlays and ignores ceiling lights', () => {
+    const bath = { id: 'bath', type: 'bath', x: 100, y: 100, width: 200, height: 90, rotation: 0 };
+    expect(fixturesCollide(bath, { id: 'taps', type: 'bath-taps', x: 150, y: 110, width: 30, height: 15, rotation: 0 })).toBe(false);
+    expect(fixturesCollide(bath, { id: 'light', type: 'light', x: 150, y: 110, width: 20, height: 20, rotation: 0 })).toBe(false);
+    expect(fixturesCollide(bath, { id: 'mirror', type: 'mirror', x: 150, y: 110, width: 80, height: 5, rotation: 0 })).toBe(true);
+  });
+
+  it('flags fixtures part-way into a wall, not ones on the floor or wholly outside', () => {
+    expect(hitsRoomWalls(cupboard('a', 540, 100), room)).toBe(true);
+    expect(hitsRoomWalls(cupboard('a', 100, 100), room)).toBe(false);
+    expect(hitsRoomWalls(cupboard('a', 800, 100), room)).toBe(false);
+  });
+
+  it('lists every collision once', () => {
+    expect(getCollisions([room, cupboard('a', 100, 100), cupboard('b', 150, 120), cupboard('c', 540, 300)])).toEqual([
+      { kind: 'fixture', ids: ['a', 'b'] },
+      { kind: 'wall', ids: ['c', 'room'] },
+    ]);
+  });
+});
+
+describe('getItemsInRect', () => {
+  const lRoom = { id: 'room', type: 'room-l', x: 0, y: 0, width: 600, height: 400, rotation: 0, wallThickness: 50 };
+  // Turned 45° about its corner, its box reaches x 57.6-156.6 and y 100-198.9
+  const turned = { id: 'turned', type: 'cupboard', x: 100, y: 100, width: 80, height: 60, rotation: 45 };
+  const idsIn = (rect, mode) => getItemsInRect([lRoom, turned], rect, mode).map((item) => item.id);
+
+  it('takes only items wholly inside an enclosing box', () => {
+    expect(idsIn({ x: 50, y: 90, width: 120, height: 120 }, 'enclosed')).toEqual(['turned']);
+    expect(idsIn({ x: 60, y: 90, width: 120, height: 120 }, 'enclosed')).toEqual([]);
+  });
+
+  it('takes anything a touching box reaches by its real outline', () => {
+    expect(idsIn({ x: 120, y: 140, width: 10, height: 10 }, 'touching')).toEqual(['room', 'turned']);
+    // Inside the turned cupboard's box, but clear of its corner
+    expect(idsIn({ x: 60, y: 100, width: 20, height: 15 }, 'touching')).toEqual(['room']);
+  });
+
+  it('never hits the empty corner of an L', () => {
+    // The default cut-out takes the bottom-right 240 × 160 px
+    expect(idsIn({ x: 450, y: 300, width: 100, height: 80 }, 'touching')).toEqual([]);
+    expect(idsIn({ x: 450, y: 100, width: 100, height: 80 }, 'touching')).toEqual(['room']);
+  });
+});
+
+describe('getExportBounds', () => {
+  it('pads the plan bounds, walls included, all round', () => {
+    const room = { id: 'room', type: 'room-square', x: 100, y: 100, width: 400, height: 300, rotation: 0, wallThickness: 50 };
+    const outside = { id: 'c', type: 'cupboard', x: 600, y: 100, width: 80, height: 60, rotation: 0 };
+    expect(getExportBounds([room])).toEqual({ x: 50 - EXPORT_PADDING, y: 50 - EXPORT_PADDING, width: 500 + EXPORT_PADDING * 2, height: 400 + EXPORT_PADDING * 2 });
+    expect(getExportBounds([room, outside]).width).toBe(630 + EXPORT_PADDING * 2);
+  });
+
+  it('is null for an empty plan', () => {
+    expect(getExportBounds([])).toBeNull();
+  });
+});
@@ -0,0 +1,28 @@
+// Grid maths for the canvas - line spacing at a given zoom and snapping points and resized edges to it
+
+import { mmToPx } from './units';
+
+const MIN_GRID_GAP = 8; // screen px - grid lines closer than this are not drawn
+const MIN_MINOR_GRID_MM = 10;
+
+export const roundTo = (value, step) => Math.round(value / step) * step;
+
+export const snapToGrid = (point, step) => ({ x: roundTo(point.x, step), y: roundTo(point.y, step) });
+
+// Major lines at the chosen spacing (coarsened when zoomed out too far to read), with minor lines
+// between them once zoomed in enough to see them - minor is null when they aren't drawn
+export const getGridSteps = (spacingMm, zoom) => {
+  let major = mmToPx(spacingMm);
+  while (major * zoom < MIN_GRID_GAP) major *= 5;
+  const minor = major / 5;
+  return { major, minor: minor >= mmToPx(MIN_MINOR_GRID_MM) && minor * zoom >= MIN_GRID_GAP ? minor : null };
+};
+
+// Snaps one axis of a resized item: the dragged edge lands on a grid line, or for a turned item
+// (whose edges don't run along the grid) the size is rounded to whole grid steps
+export const snapResizedAxis = ({ start, size, movedStart, isSquare }, step) => {
+  if (!isSquare) return { start, size: roundTo(size, step) || step };
+  if (!movedStart) return { start, size: roundTo(start + size, step) - start };
+  const snapped = roundTo(start, step);
+  return { start: snapped, size: start + size - snapped };
+};
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { roundTo, snapToGrid, getGridSteps, snapResizedAxis } from './grid';
+
+describe('snapToGrid', () => {
+  it('moves a point to the nearest grid crossing', () => {
+    expect(snapToGrid({ x: 74, y: 76 }, 50)).toEqual({ x: 50, y: 100 });
+    expect(roundTo(-26, 50)).toBe(-50);
+  });
+});
+
+describe('getGridSteps', () => {
+  it('draws the chosen spacing with minor lines a fifth of it apart', () => {
+    // 100 mm = 50 px, minor lines every 20 mm
+    expect(getGridSteps(100, 1)).toEqual({ major: 50, minor: 10 });
+    expect(getGridSteps(500, 3)).toEqual({ major: 250, minor: 50 });
+  });
+
+  it('drops minor lines that would be too close to read or finer than 10 mm', () => {
+    expect(getGridSteps(100, 0.25)).toEqual({ major: 50, minor: null });
+    expect(getGridSteps(10, 3)).toEqual({ major: 5, minor: null });
+  });
+
+  it('coarsens the major lines five-fold until they are far enough apart', () => {
+    expect(getGridSteps(10, 1)).toEqual({ major: 25, minor: null });
+    expect(getGridSteps(10, 0.25)).toEqual({ major: 125, minor: null });
+  });
+});
+
+describe('snapResizedAxis', () => {
+  it('puts the dragged far edge on a grid line', () => {
+    expect(snapResizedAxis({ start: 30, size: 84, movedStart: false, isSquare: true }, 50)).toEqual({ start: 30, size: 70 });
+  });
+
+  it('puts the dragged near edge on a grid line and keeps the far one', () => {
+    expect(snapResizedAxis({ start: 43, size: 57, movedStart: true, isSquare: true }, 50)).toEqual({ start: 50, size: 50 });
+  });
+
+  it('rounds the size of a turned item, never to nothing', () => {
+    expect(snapResizedAxis({ start: 43, size: 130, movedStart: true, isSquare: false }, 50)).toEqual({ start: 43, size: 150 });
+    expect(snapResizedAxis({ start: 43, size: 20, movedStart: false, isSquare: false }, 50)).toEqual({ start: 43, size: 50 });
+  });
+});
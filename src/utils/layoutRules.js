@@ -0,0 +1,170 @@
+// Layout checks run over the plan's items, listed in the problems panel and before PDF export.
+// The rules are plain data loaded from public/layout-rules.json, so surveyors can tune severities and limits
+// without a code change - each one names a check below.
+
+import { pxToMm } from './units';
+import { isRoomItem, isOpeningItem, isMeasureItem, getRoomOutline, toCanvasPoints, findContainingRoom, isWithinOutline, polygonsOverlap, getOverlapOutline, getDoorSwingArea, getClearances, getClearanceZoneConflicts, getElectricalZones, getItemElectricalZone, getZoneRating, ZONE_RATING_OUTSIDE, getCollisions } from './geometry';
+
+const RULES_URL = `${import.meta.env.BASE_URL}layout-rules.json`;
+
+export const SEVERITIES = ['error', 'warning'];
+
+// Limits in mm each check reads from its rule
+const CHECK_LIMITS = {
+  sideWall: ['minMm'],
+  minSize: ['minWidthMm', 'minDepthMm'],
+};
+
+const nameOf = (item) => item.label || item.type;
+
+const isFixture = (item) => !isRoomItem(item) && !isOpeningItem(item) && !isMeasureItem(item);
+
+// Fixtures a rule applies to, per its optional `types` and `ignoreTypes`
+const fixturesFor = (rule, items) => items.filter((item) => isFixture(item) &&
+  (!rule.types || rule.types.includes(item.type)) &&
+  !(rule.ignoreTypes || []).includes(item.type));
+
+const getFloor = (room) => toCanvasPoints(room, getRoomOutline(room));
+
+// Each check returns [{ itemIds, message }]
+const CHECKS = {
+  outsideRoom: (rule, items) => {
+    if (!items.some(isRoomItem)) return [];
+    return fixturesFor(rule, items).flatMap((item) => {
+      const room = findContainingRoom(item, items);
+      if (room && isWithinOutline(getOverlapOutline(item), getFloor(room))) return [];
+      return [{
+        itemIds: [item.id],
+        message: room ? `${nameOf(item)} runs into the wall` : `${nameOf(item)} is outside the room`,
+      }];
+    });
+  },
+
+  overlap: (rule, items) => {
+    const fixtures = fixturesFor(rule, items);
+    return getCollisions(fixtures)
+      .filter((collision) => collision.kind === 'fixture')
+      .map(({ ids }) => {
+        const [item, other] = ids.map((id) => fixtures.find((fixture) => fixture.id === id));
+        return { itemIds: ids, message: `${nameOf(item)} overlaps ${nameOf(other)}` };
+      });
+  },
+
+  doorSwing: (rule, items) => {
+    const fixtures = fixturesFor(rule, items);
+    return items.filter((item) => item.type === 'door').flatMap((door) => {
+      const swing = getDoorSwingArea(door);
+      if (!swing.length) return [];
+      return fixtures
+        .filter((item) => polygonsOverlap(swing, getOverlapOutline(item)))
+        .map((item) => ({ itemIds: [door.id, item.id], message: `${nameOf(door)} swings into ${nameOf(item)}` }));
+    });
+  },
+
+  sideWall: (rule, items) => fixturesFor(rule, items).flatMap((item) => {
+    // Only square-on fixtures have walls directly to their sides
+    const rotation = ((Math.round(item.rotation || 0) % 360) + 360) % 360;
+    if (rotation % 90 !== 0) return [];
+    const sides = rotation % 180 === 0 ? ['left', 'right'] : ['above', 'below'];
+    const walls = getClearances(item, items).filter((clearance) => clearance.kind === 'wall' && sides.includes(clearance.side));
+    if (!walls.length) return [];
+    const nearest = Math.min(...walls.map((wall) => wall.length));
+    const centreMm = pxToMm(nearest + item.width / 2);
+    if (centreMm >= rule.minMm) return [];
+    return [{
+      itemIds: [item.id],
+      message: `${nameOf(item)} is ${centreMm} mm from its centre line to the side wall (min ${rule.minMm} mm)`,
+    }];
+  }),
+
+  minSize: (rule, items) => fixturesFor(rule, items).flatMap((item) => {
+    const widthMm = pxToMm(item.width);
+    const depthMm = pxToMm(item.height);
+    // Trays can go either way round
+    const fits = (widthMm >= rule.minWidthMm && depthMm >= rule.minDepthMm) ||
+      (widthMm >= rule.minDepthMm && depthMm >= rule.minWidthMm);
+    if (fits) return [];
+    return [{
+      itemIds: [item.id],
+      message: `${nameOf(item)} is ${widthMm} × ${depthMm} mm, under the ${rule.minWidthMm} × ${rule.minDepthMm} mm minimum`,
+    }];
+  }),
+
+  clearanceZone: (rule, items) => {
+    const byId = Object.fromEntries(items.map((item) => [item.id, item]));
+    return Object.entries(getClearanceZoneConflicts(items))
+      .filter(([id]) => fixturesFor(rule, [byId[id]]).length)
+      .map(([id, conflicts]) => ({
+        itemIds: [id, ...conflicts.map((conflict) => conflict.id)],
+        message: `${nameOf(byId[id])}'s clearance zone is blocked by ${conflicts
+          .map((conflict) => (conflict.kind === 'wall' ? 'a wall' : nameOf(byId[conflict.id])))
+          .join(', ')}`,
+      }));
+  },
+
+  // Electrical items - those with a zone rating - against the zones they reach into
+  electricalZone: (rule, items) => {
+    const zones = getElectricalZones(items);
+    return fixturesFor(rule, items).flatMap((item) => {
+      const lowest = getZoneRating(item);
+      const zone = lowest === null ? null : getItemElectricalZone(item, zones);
+      if (zone === null || zone >= lowest) return [];
+      return [{
+        itemIds: [item.id],
+        message: lowest >= ZONE_RATING_OUTSIDE
+          ? `${nameOf(item)} is in electrical zone ${zone} - it must be outside the zones`
+          : `${nameOf(item)} is in electrical zone ${zone} - it may only go in zone ${lowest} or further out`,
+      }];
+    });
+  },
+};
+
+// Returns [{ id, ruleId, severity, message, itemIds }], errors first
+export function checkLayout(items, rules) {
+  const problems = rules.flatMap((rule) => CHECKS[rule.check](rule, items).map((problem) => ({
+    id: `${rule.id}:${problem.itemIds.join(',')}`,
+    ruleId: rule.id,
+    severity: rule.severity,
+    ...problem,
+  })));
+  return problems.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+const isTextList = (value) => Array.isArray(value) && value.every((entry) => typeof entry === 'string');
+
+// Problems with one entry of the rules file (empty when it's valid)
+const getRuleProblems = (rule) => {
+  if (!rule || typeof rule !== 'object') return ['must be an object'];
+  const problems = [];
+  if (typeof rule.id !== 'string' || !rule.id) problems.push('id must be text');
+  if (!CHECKS[rule.check]) problems.push(`check must be one of ${Object.keys(CHECKS).join(', ')}`);
+  if (!SEVERITIES.includes(rule.severity)) problems.push(`severity must be ${SEVERITIES.join(' or ')}`);
+  ['types', 'ignoreTypes'].forEach((key) => {
+    if (rule[key] !== undefined && !isTextList(rule[key])) problems.push(`${key} must be a list of item types`);
+  });
+  (CHECK_LIMITS[rule.check] || []).forEach((key) => {
+    if (!(Number.isFinite(rule[key]) && rule[key] >= 0)) problems.push(`${key} must be a number of mm`);
+  });
+  return problems;
+};
+
+// Resolves to the rules in public/layout-rules.json, leaving out any that are broken
+export async function loadLayoutRules() {
+  const response = await fetch(RULES_URL);
+  if (!response.ok) throw new Error(`Could not load the layout rules (HTTP ${response.status}).`);
+  const file = await response.json();
+  if (!Array.isArray(file?.rules)) throw new Error('The layout rules file has no "rules" list.');
+
+  const ids = new Set();
+  return file.rules.filter((rule, index) => {
+    const problems = getRuleProblems(rule);
+    if (ids.has(rule?.id)) problems.push('id is used by an earlier rule');
+    if (problems.length) {
+      // One bad rule shouldn't switch off the rest
+      console.warn(`[Layout rules] Skipping "${rule?.id ?? `rules[${index}]`}":`, problems);
+      return false;
+    }
+    ids.add(rule.id);
+    return true;
+  });
+}
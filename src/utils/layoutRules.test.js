@@ -0,0 +1,154 @@
+import fs from 'node:fs';
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { checkLayout, loadLayoutRules } from './layoutRules';
+
+const RULES_FILE = JSON.parse(fs.readFileSync(new URL('../../public/layout-rules.json', import.meta.url), 'utf8'));
+
+const serve = (body, ok = true) => vi.stubGlobal('fetch', vi.fn(async () => ({ ok, status: ok ? 200 : 404, json: async () => body })));
+
+let rules;
+const rulesNamed = (...ids) => rules.filter((rule) => ids.includes(rule.id));
+const messages = (items, ...ids) => checkLayout(items, rulesNamed(...ids)).map((problem) => problem.message);
+
+beforeAll(async () => {
+  serve(RULES_FILE);
+  rules = await loadLayoutRules();
+  vi.unstubAllGlobals();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+const room = { id: 'room', type: 'room-square', x: 0, y: 0, width: 600, height: 400, rotation: 0, wallThickness: 50 };
+const cupboard = (id, x, y, extra = {}) => ({ id, type: 'cupboard', x, y, width: 80, height: 60, rotation: 0, ...extra });
+
+describe('loadLayoutRules', () => {
+  it('loads every rule in public/layout-rules.json', () => {
+    expect(rules.map((rule) => rule.id)).toEqual(RULES_FILE.rules.map((rule) => rule.id));
+  });
+
+  it('skips rules that do not validate and keeps the rest', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    serve({
+      rules: [
+        { id: 'outside-room', check: 'outsideRoom', severity: 'error' },
+        { id: 'unknown', check: 'noSuchCheck', severity: 'error' },
+        { id: 'no-limit', check: 'sideWall', severity: 'warning' },
+        { id: 'loud', check: 'overlap', severity: 'critical' },
+        { id: 'bad-types', check: 'overlap', severity: 'error', types: 'toilet' },
+        { id: 'outside-room', check: 'outsideRoom', severity: 'warning' },
+      ],
+    });
+    const loaded = await loadLayoutRules();
+    expect(loaded).toEqual([{ id: 'outside-room', check: 'outsideRoom', severity: 'error' }]);
+    expect(warn).toHaveBeenCalledTimes(5);
+  });
+
+  it('fails when the file is missing or has no rules list', async () => {
+    serve({}, false);
+    await expect(loadLayoutRules()).rejects.toThrow(/HTTP 404/);
+    serve({ checks: [] });
+    await expect(loadLayoutRules()).rejects.toThrow(/no "rules" list/);
+  });
+});
+
+describe('outside-room', () => {
+  it('passes fixtures on the floor and flags ones outside or in the wall', () => {
+    expect(messages([room, cupboard('in', 100, 100)], 'outside-room')).toEqual([]);
+    expect(messages([room, cupboard('out', 800, 100)], 'outside-room')).toEqual(['cupboard is outside the room']);
+    expect(messages([room, cupboard('wall', 540, 100)], 'outside-room')).toEqual(['cupboard runs into the wall']);
+  });
+
+  it('uses the real outline of a rotated room', () => {
+    // Turned a quarter about its corner, the room covers x 0-400 and y 100-700
+    const turned = { ...room, x: 400, y: 100, rotation: 90 };
+    expect(messages([turned, cupboard('in', 150, 300)], 'outside-room')).toEqual([]);
+    // Inside the room's unrotated box, but not its floor
+    expect(messages([turned, cupboard('out', 500, 150)], 'outside-room')).toEqual(['cupboard is outside the room']);
+  });
+
+  it('uses the corners of a drawn room', () => {
+    const triangle = { id: 'room', type: 'room-polygon', x: 0, y: 0, width: 600, height: 600, rotation: 0, points: [0, 0, 600, 0, 0, 600] };
+    expect(messages([triangle, cupboard('in', 50, 50)], 'outside-room')).toEqual([]);
+    expect(messages([triangle, cupboard('out', 450, 450)], 'outside-room')).toEqual(['cupboard is outside the room']);
+  });
+
+  it('says nothing before a room is added', () => {
+    expect(messages([cupboard('a', 100, 100)], 'outside-room')).toEqual([]);
+  });
+});
+
+describe('fixture-overlap and door-swing', () => {
+  it('flags overlapping fixtures but not intended overlays', () => {
+    expect(messages([cupboard('a', 100, 100), cupboard('b', 150, 120)], 'fixture-overlap')).toEqual(['cupboard overlaps cupboard']);
+    const bath = { id: 'bath', type: 'bath', x: 100, y: 100, width: 200, height: 90, rotation: 0 };
+    const taps = { id: 'taps', type: 'bath-taps', x: 150, y: 110, width: 30, height: 15, rotation: 0 };
+    expect(messages([bath, taps], 'fixture-overlap')).toEqual([]);
+  });
+
+  it('flags fixtures in a door swing', () => {
+    // Opens inward - up the canvas - through a quarter circle as wide as the door
+    const door = { id: 'door', type: 'door', label: 'Door', x: 100, y: 300, width: 100, height: 15, rotation: 0 };
+    const problems = checkLayout([door, cupboard('a', 120, 220)], rulesNamed('door-swing'));
+    expect(problems.map((problem) => [problem.itemIds, problem.message])).toEqual([[['door', 'a'], 'Door swings into cupboard']]);
+    expect(messages([door, cupboard('a', 120, 100)], 'door-swing')).toEqual([]);
+    expect(messages([{ ...door, swing: 'out' }, cupboard('a', 120, 220)], 'door-swing')).toEqual([]);
+  });
+});
+
+describe('sizes and distances', () => {
+  it('checks the WC centre line against the side wall', () => {
+    const toilet = (x) => ({ id: 'wc', type: 'toilet', x, y: 10, width: 65, height: 85, rotation: 0 });
+    // 20 px to the wall plus half the 65 px pan is 52.5 px, or 105 mm
+    expect(messages([room, toilet(20)], 'wc-side-wall')).toEqual(['toilet is 105 mm from its centre line to the side wall (min 400 mm)']);
+    expect(messages([room, toilet(200)], 'wc-side-wall')).toEqual([]);
+  });
+
+  it('accepts shower trays either way round', () => {
+    const tray = (width, height) => ({ id: 'tray', type: 'shower', x: 100, y: 100, width, height, rotation: 0 });
+    expect(messages([tray(450, 400)], 'shower-tray-size')).toEqual([]);
+    expect(messages([tray(400, 450)], 'shower-tray-size')).toEqual([]);
+    expect(messages([tray(350, 450)], 'shower-tray-size')).toEqual(['shower is 700 × 900 mm, under the 800 × 800 mm minimum']);
+  });
+});
+
+describe('electrical-zones', () => {
+  const bath = { id: 'bath', type: 'bath', x: 0, y: 0, width: 200, height: 90, rotation: 0 };
+
+  it('checks electrical items against their zone rating', () => {
+    const rail = { id: 'rail', type: 'towel-rail', x: 90, y: 30, width: 50, height: 12, rotation: 0 };
+    expect(messages([bath, rail], 'electrical-zones')).toEqual(['towel-rail is in electrical zone 0 - it may only go in zone 2 or further out']);
+    // Zone 2 reaches 600 mm (300 px) past the bath
+    expect(messages([bath, { ...rail, x: 250 }], 'electrical-zones')).toEqual([]);
+    expect(messages([bath, { ...rail, x: 600 }], 'electrical-zones')).toEqual([]);
+  });
+
+  it('takes an item\'s own rating over its type\'s', () => {
+    const light = { id: 'light', type: 'light', x: 250, y: 30, width: 20, height: 20, rotation: 0 };
+    expect(messages([bath, light], 'electrical-zones')).toEqual([]);
+    expect(messages([bath, { ...light, zoneRating: 3 }], 'electrical-zones')).toEqual(['light is in electrical zone 2 - it must be outside the zones']);
+  });
+
+  it('puts ceiling lights over a bath in zone 1, not zone 0', () => {
+    const light = { id: 'light', type: 'light', x: 90, y: 30, width: 20, height: 20, rotation: 0 };
+    expect(messages([bath, light], 'electrical-zones')).toEqual([]);
+    expect(messages([bath, { ...light, zoneRating: 2 }], 'electrical-zones')).toEqual(['light is in electrical zone 1 - it may only go in zone 2 or further out']);
+  });
+
+  it('ignores items that are not electrical', () => {
+    expect(messages([bath, cupboard('a', 50, 20)], 'electrical-zones')).toEqual([]);
+  });
+});
+
+describe('checkLayout', () => {
+  it('lists errors before warnings with ids made from the rule and items', () => {
+    const toilet = { id: 'wc', type: 'toilet', x: 20, y: 10, width: 65, height: 85, rotation: 0, clearanceWidth: 0, clearanceDepth: 0 };
+    const problems = checkLayout([room, toilet, cupboard('out', 800, 100)], rules);
+    expect(problems.map((problem) => [problem.id, problem.severity])).toEqual([
+      ['outside-room:out', 'error'],
+      ['wc-side-wall:wc', 'warning'],
+    ]);
+  });
+});
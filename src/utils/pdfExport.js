@@ -0,0 +1,517 @@
+// Builds the exported PDF: the plan drawn as vector lines and text straight from the items (see planDrawing.js),
+// at a true architectural scale on the chosen paper, with the company header and footer, a scale bar, a north
+// arrow and an entrance marker.
+
+import { jsPDF } from 'jspdf';
+import { pxToMm } from './units';
+import { PROJECT_DETAIL_FIELDS, formatRevisionDate } from './projectDetails';
+import { getPlanBounds, toCanvasPoints, isMeasureItem } from './geometry';
+import { getPlanDrawing, getDrawOrder, getUprightAngle, PEN_WEIGHTS } from './planDrawing';
+
+export const PDF_SCALES = [20, 25, 50];
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  a3: { label: 'A3', width: 297, height: 420 },
+};
+// Which way north points on the printed page, in degrees clockwise from the top
+export const NORTH_DIRECTIONS = { up: 0, right: 90, down: 180, left: 270 };
+// `pack` adds a title page, fixture schedule and notes around the plan
+export const DEFAULT_PDF_OPTIONS = {
+  scale: 20,
+  paper: 'a4',
+  orientation: 'portrait',
+  north: 'up',
+  pack: false,
+  notes: '',
+};
+
+// Page layout, in paper mm
+const MARGIN = 15;
+const HEADER_HEIGHT = 25;
+const TITLE_BLOCK_TOP = 29;
+const PLAN_TOP = 53;
+const PLAN_BOTTOM_SPACE = 40; // scale bar, north arrow and footer
+
+const getPageSize = ({ paper, orientation }) => {
+  const { width, height } = PAPER_SIZES[paper];
+  return orientation === 'landscape' ? { width: height, height: width } : { width, height };
+};
+
+const getPlanArea = (options) => {
+  const page = getPageSize(options);
+  return { x: MARGIN, y: PLAN_TOP, width: page.width - MARGIN * 2, height: page.height - PLAN_TOP - PLAN_BOTTOM_SPACE };
+};
+
+// The plan's real size in mm and whether it fits the page at the chosen scale
+export const getPlanFit = (items, options) => {
+  const bounds = getPlanBounds(items);
+  const area = getPlanArea(options);
+  const widthMm = pxToMm(bounds.maxX - bounds.minX);
+  const heightMm = pxToMm(bounds.maxY - bounds.minY);
+  return {
+    widthMm,
+    heightMm,
+    fits: widthMm / options.scale <= area.width && heightMm / options.scale <= area.height,
+  };
+};
+
+const drawScaleBar = (pdf, x, y, scale) => {
+  // A metre at the larger scales, two at 1:50 - split into quarters
+  const lengthMm = scale <= 25 ? 1000 : 2000;
+  const step = lengthMm / 4;
+  const stepOnPaper = step / scale;
+  pdf.setDrawColor(40, 40, 40);
+  pdf.setLineWidth(0.2);
+  for (let i = 0; i < 4; i++) {
+    pdf.setFillColor(i % 2 === 0 ? 40 : 255, i % 2 === 0 ? 40 : 255, i % 2 === 0 ? 40 : 255);
+    pdf.rect(x + i * stepOnPaper, y, stepOnPaper, 2, 'FD');
+  }
+
+  pdf.setTextColor(60, 60, 60);
+  pdf.setFontSize(7);
+  pdf.setFont('helvetica', 'normal');
+  [0, 2, 4].forEach((i) => {
+    const metres = (i * step) / 1000;
+    pdf.text(i === 4 ? `${metres} m` : `${metres}`, x + i * stepOnPaper, y + 5.5, { align: 'center' });
+  });
+  pdf.setFont('helvetica', 'bold');
+  pdf.text(`Scale 1:${scale}`, x + 4 * stepOnPaper + 8, y + 2);
+};
+
+const drawNorthArrow = (pdf, cx, cy, direction) => {
+  const angle = ((NORTH_DIRECTIONS[direction] || 0) * Math.PI) / 180;
+  // Points of an arrow pointing up, turned to face north
+  const turn = (x, y) => [cx + x * Math.cos(angle) - y * Math.sin(angle), cy + x * Math.sin(angle) + y * Math.cos(angle)];
+  const radius = 6;
+  pdf.setDrawColor(40, 40, 40);
+  pdf.setLineWidth(0.3);
+  pdf.circle(cx, cy, radius, 'S');
+  pdf.setFillColor(40, 40, 40);
+  pdf.triangle(...turn(0, -radius + 1), ...turn(-2.2, 2.5), ...turn(2.2, 2.5), 'F');
+  const [labelX, labelY] = turn(0, -radius - 3);
+  pdf.setTextColor(40, 40, 40);
+  pdf.setFontSize(8);
+  pdf.setFont('helvetica', 'bold');
+  pdf.text('N', labelX, labelY + 1.2, { align: 'center' });
+};
+
+// An arrow pointing in through the first door, just outside the wall
+const drawEntranceMarker = (pdf, door, toPaper) => {
+  const [outerX, outerY, innerX, innerY] = toPaper(toCanvasPoints(door, [door.width / 2, door.height, door.width / 2, 0]));
+  const length = Math.hypot(outerX - innerX, outerY - innerY) || 1;
+  const ux = (outerX - innerX) / length;
+  const uy = (outerY - innerY) / length;
+  const tipX = outerX + ux * 1.5;
+  const tipY = outerY + uy * 1.5;
+  const tailX = outerX + ux * 10;
+  const tailY = outerY + uy * 10;
+
+  pdf.setDrawColor(255, 102, 0);
+  pdf.setFillColor(255, 102, 0);
+  pdf.setLineWidth(0.6);
+  pdf.line(tailX, tailY, tipX + ux * 2, tipY + uy * 2);
+  pdf.triangle(tipX, tipY, tipX + ux * 3 - uy * 1.6, tipY + uy * 3 + ux * 1.6, tipX + ux * 3 + uy * 1.6, tipY + uy * 3 - ux * 1.6, 'F');
+  pdf.setTextColor(255, 102, 0);
+  pdf.setFontSize(7);
+  pdf.setFont('helvetica', 'bold');
+  pdf.text('ENTRANCE', tailX + ux * 3, tailY + uy * 3 + 1, { align: 'center' });
+};
+
+// Outlines a flat list of paper points - `style` is jsPDF's 'S' (stroke), 'F' (fill) or 'FD' (both)
+const drawPath = (pdf, points, style, closed = true) => {
+  const deltas = [];
+  for (let i = 2; i < points.length; i += 2) deltas.push([points[i] - points[i - 2], points[i + 1] - points[i - 1]]);
+  pdf.lines(deltas, points[0], points[1], [1, 1], style, closed);
+};
+
+// Text centred on a paper point, turned with its item but never upside down
+const drawLabel = (pdf, { text, rotation, size, color, bold }, [x, y]) => {
+  const angle = getUprightAngle(rotation);
+  const radians = (angle * Math.PI) / 180;
+  pdf.setFontSize(size);
+  pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+  pdf.setTextColor(...color);
+  const halfWidth = pdf.getTextWidth(text) / 2;
+  // jsPDF turns text anticlockwise, the canvas clockwise
+  pdf.text(text, x - Math.cos(radians) * halfWidth, y - Math.sin(radians) * halfWidth, { angle: -angle, baseline: 'middle' });
+};
+
+// One shape or label from planDrawing.js
+const drawPrimitive = (pdf, primitive, toPaper) => {
+  if (primitive.kind === 'text') {
+    drawLabel(pdf, primitive, toPaper([primitive.x, primitive.y]));
+    return;
+  }
+  const { points, closed, stroke, fill, pen, dash } = primitive;
+  if (stroke) pdf.setDrawColor(...stroke);
+  if (fill) pdf.setFillColor(...fill);
+  pdf.setLineWidth(PEN_WEIGHTS[pen]);
+  pdf.setLineDashPattern(dash || [], 0);
+  drawPath(pdf, toPaper(points), stroke && fill ? 'FD' : fill ? 'F' : 'S', closed);
+};
+
+const formatDate = () => new Date().toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+});
+
+// Orange band across the top - AM Hancock branding, with the page's title on the right
+const drawHeader = ({ pdf, page }, title, subtitle) => {
+  pdf.setFillColor(255, 102, 0); // #ff6600
+  pdf.rect(0, 0, page.width, HEADER_HEIGHT, 'F');
+
+  pdf.setTextColor(255, 255, 255);
+  pdf.setFontSize(18);
+  pdf.setFont('helvetica', 'bold');
+  pdf.text('AM Hancock & Son', MARGIN, 16);
+
+  pdf.setFontSize(10);
+  pdf.setFont('helvetica', 'normal');
+  pdf.text(title, page.width - MARGIN, subtitle ? 12 : 16, { align: 'right' });
+  if (subtitle) {
+    pdf.setFontSize(8);
+    pdf.text(subtitle, page.width - MARGIN, 18, { align: 'right' });
+  }
+};
+
+// Title block cells - each row's shares add up to 1
+const TITLE_BLOCK_ROWS = [
+  [
+    { label: 'Customer', share: 0.4, value: (details) => details.customerName },
+    { label: 'Reference', share: 0.35, value: (details) => details.reference },
+    { label: 'Revision', share: 0.25, value: (details) => details.revision },
+  ],
+  [
+    { label: 'Site address', share: 1, value: (details) => details.siteAddress?.split('\n').map((line) => line.trim()).filter(Boolean).join(', ') },
+  ],
+  [
+    { label: 'Contact', share: 0.4, value: (details) => details.contact },
+    { label: 'Surveyor', share: 0.35, value: (details) => details.surveyor },
+    { label: 'Date', share: 0.25, value: (details, date) => date },
+  ],
+];
+const TITLE_BLOCK_ROW_HEIGHT = 6;
+const TITLE_BLOCK_REVISIONS = 2; // latest revisions listed beside the details
+
+// The project's details and latest revisions under the header, on every page
+const drawTitleBlock = ({ pdf, page, details, date }) => {
+  const width = page.width - MARGIN * 2;
+  const detailsWidth = width * 0.62;
+  const revisionsX = MARGIN + detailsWidth;
+  const revisionsWidth = width - detailsWidth;
+  const height = TITLE_BLOCK_ROWS.length * TITLE_BLOCK_ROW_HEIGHT;
+
+  pdf.setDrawColor(148, 163, 184);
+  pdf.setLineWidth(0.2);
+  pdf.rect(MARGIN, TITLE_BLOCK_TOP, width, height, 'S');
+  pdf.line(revisionsX, TITLE_BLOCK_TOP, revisionsX, TITLE_BLOCK_TOP + height);
+
+  const drawCell = (label, value, x, y, cellWidth) => {
+    pdf.setFontSize(5.5);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(100, 116, 139);
+    pdf.text(label.toUpperCase(), x + 1.5, y + 2.2);
+    pdf.setFontSize(7.5);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(30, 41, 59);
+    pdf.text(pdf.splitTextToSize(value || '-', cellWidth - 3)[0], x + 1.5, y + 5.1);
+  };
+
+  TITLE_BLOCK_ROWS.forEach((row, rowIndex) => {
+    const y = TITLE_BLOCK_TOP + rowIndex * TITLE_BLOCK_ROW_HEIGHT;
+    if (rowIndex > 0) pdf.line(MARGIN, y, revisionsX, y);
+    let x = MARGIN;
+    row.forEach((cell, cellIndex) => {
+      const cellWidth = cell.share * detailsWidth;
+      if (cellIndex > 0) pdf.line(x, y, x, y + TITLE_BLOCK_ROW_HEIGHT);
+      drawCell(cell.label, cell.value(details, date), x, y, cellWidth);
+      x += cellWidth;
+    });
+  });
+
+  // Revision history, newest first
+  const revisions = [...(details.revisions || [])].reverse().slice(0, TITLE_BLOCK_REVISIONS);
+  const revisionRows = [['Rev', 'Date', 'Description'], ...revisions.map((entry) => [
+    entry.revision,
+    formatRevisionDate(entry.date),
+    entry.description || '',
+  ])];
+  const columns = [revisionsX + 1.5, revisionsX + 9, revisionsX + 27];
+  revisionRows.forEach((cells, rowIndex) => {
+    const y = TITLE_BLOCK_TOP + rowIndex * TITLE_BLOCK_ROW_HEIGHT;
+    if (rowIndex > 0) pdf.line(revisionsX, y, revisionsX + revisionsWidth, y);
+    pdf.setFontSize(rowIndex === 0 ? 5.5 : 7);
+    pdf.setFont('helvetica', rowIndex === 0 ? 'normal' : 'bold');
+    pdf.setTextColor(...(rowIndex === 0 ? [100, 116, 139] : [30, 41, 59]));
+    cells.forEach((text, i) => {
+      const cellWidth = (i < 2 ? columns[i + 1] : revisionsX + revisionsWidth) - columns[i] - 1.5;
+      pdf.text(pdf.splitTextToSize(rowIndex === 0 ? text.toUpperCase() : text, cellWidth)[0] || '', columns[i], y + 3.8);
+    });
+  });
+  if (!revisions.length) {
+    pdf.setFontSize(7);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(100, 116, 139);
+    pdf.text('No revisions issued', revisionsX + 1.5, TITLE_BLOCK_TOP + TITLE_BLOCK_ROW_HEIGHT + 3.8);
+  }
+};
+
+const drawFooter = ({ pdf, page }) => {
+  const footerY = page.height - 15;
+  pdf.setDrawColor(255, 102, 0);
+  pdf.setLineWidth(0.5);
+  pdf.line(MARGIN, footerY - 5, page.width - MARGIN, footerY - 5);
+
+  pdf.setTextColor(100, 100, 100);
+  pdf.setFontSize(8);
+  pdf.setFont('helvetica', 'normal');
+  pdf.text('AM Hancock & Son - Quality Bathroom Installations', MARGIN, footerY);
+  pdf.text('www.amhancock.co.uk', page.width - MARGIN, footerY, { align: 'right' });
+};
+
+// Header, title block and footer around the current page - returns the y the content starts at
+const decoratePage = (sheet, title, subtitle) => {
+  drawHeader(sheet, title, subtitle);
+  drawTitleBlock(sheet);
+  drawFooter(sheet);
+  return PLAN_TOP;
+};
+
+const addPackPage = (sheet, title) => {
+  sheet.pdf.addPage(sheet.options.paper, sheet.options.orientation);
+  return decoratePage(sheet, title);
+};
+
+const drawPlanPage = ({ pdf, page, options }, items) => {
+  // Plan centred in its area at exactly 1:scale - canvas px to paper mm
+  const bounds = getPlanBounds(items);
+  const area = getPlanArea(options);
+  const planWidth = pxToMm(bounds.maxX - bounds.minX) / options.scale;
+  const planHeight = pxToMm(bounds.maxY - bounds.minY) / options.scale;
+  const planX = area.x + (area.width - planWidth) / 2;
+  const planY = area.y + (area.height - planHeight) / 2;
+  const toPaper = (points) => points.map((value, i) => (i % 2 === 0
+    ? planX + pxToMm(value - bounds.minX) / options.scale
+    : planY + pxToMm(value - bounds.minY) / options.scale));
+
+  getPlanDrawing(items).forEach(({ primitives }) => primitives.forEach((primitive) => drawPrimitive(pdf, primitive, toPaper)));
+  pdf.setLineDashPattern([], 0);
+
+  const door = items.find((item) => item.type === 'door' && item.hostId);
+  if (door) drawEntranceMarker(pdf, door, toPaper);
+
+  // Scale bar and north arrow under the plan
+  const keyY = page.height - PLAN_BOTTOM_SPACE + 12;
+  drawScaleBar(pdf, MARGIN, keyY, options.scale);
+  drawNorthArrow(pdf, page.width - MARGIN - 8, keyY + 1, options.north);
+};
+
+// Lowest y page content may reach before the footer
+const getContentBottom = (page) => page.height - 28;
+
+const drawSectionTitle = (pdf, text, y) => {
+  pdf.setTextColor(40, 40, 40);
+  pdf.setFontSize(12);
+  pdf.setFont('helvetica', 'bold');
+  pdf.text(text, MARGIN, y);
+};
+
+const drawTitlePage = (sheet) => {
+  const { pdf, page, details, date } = sheet;
+  let y = PLAN_TOP + 14;
+  pdf.setTextColor(40, 40, 40);
+  pdf.setFontSize(24);
+  pdf.setFont('helvetica', 'bold');
+  pdf.text('Bathroom Layout Plan', MARGIN, y);
+  y += 8;
+  pdf.setDrawColor(255, 102, 0);
+  pdf.setLineWidth(0.8);
+  pdf.line(MARGIN, y, MARGIN + 40, y);
+  y += 14;
+
+  const fields = [
+    ...PROJECT_DETAIL_FIELDS.map(({ key, label }) => [label, details[key]]),
+    ['Date', date],
+  ];
+  const valueWidth = page.width - MARGIN * 2 - 45;
+  fields.forEach(([label, value]) => {
+    const lines = pdf.splitTextToSize(value?.trim() || '-', valueWidth);
+    pdf.setFontSize(10);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(100, 100, 100);
+    pdf.text(label, MARGIN, y);
+    pdf.setFontSize(12);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(40, 40, 40);
+    pdf.text(lines, MARGIN + 45, y);
+    y += lines.length * 6 + 4;
+  });
+
+  pdf.setFontSize(9);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setTextColor(100, 100, 100);
+  pdf.text('Contents: title page, layout plan, fixture schedule, notes', MARGIN, getContentBottom(page));
+
+  // The full revision history - the title block only has room for the latest
+  y += 6;
+  drawSectionTitle(pdf, 'Revision History', y);
+  y += 7;
+  pdf.setFontSize(9);
+  const revisions = details.revisions || [];
+  if (!revisions.length) {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(100, 100, 100);
+    pdf.text('No revisions issued.', MARGIN, y);
+  }
+  let bottom = getContentBottom(page) - 8; // leaves room for the contents line
+  revisions.forEach((entry) => {
+    const lines = pdf.splitTextToSize(entry.description || '-', page.width - MARGIN * 2 - 45);
+    // Carry on over as many pages as it takes
+    if (y + (lines.length - 1) * 4.5 > bottom) {
+      y = addPackPage(sheet, 'Revision History (continued)');
+      bottom = getContentBottom(page);
+    }
+    pdf.setFontSize(9);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(40, 40, 40);
+    pdf.text(entry.revision, MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(formatRevisionDate(entry.date), MARGIN + 12, y);
+    pdf.text(lines, MARGIN + 45, y);
+    y += lines.length * 4.5 + 2;
+  });
+};
+
+// Friendly names for the schedule's type column
+const TYPE_NAMES = {
+  'room-square': 'Room',
+  'room-l': 'L-shaped room',
+  'room-polygon': 'Room',
+  bath: 'Bath',
+  'bath-taps': 'Bath taps',
+  shower: 'Shower tray',
+  toilet: 'Toilet',
+  sink: 'Basin',
+  cupboard: 'Cupboard',
+  radiator: 'Radiator',
+  'towel-rail': 'Heated towel rail',
+  door: 'Door',
+  window: 'Window',
+  'shower-head': 'Shower head',
+  mirror: 'Mirror',
+  light: 'Ceiling light',
+};
+
+// Column widths are shares of the page's content width
+const SCHEDULE_COLUMNS = [
+  { title: 'No.', share: 0.08, align: 'left', value: (item, i) => `${i + 1}` },
+  { title: 'Type', share: 0.22, align: 'left', value: (item) => TYPE_NAMES[item.type] || item.type },
+  { title: 'Label', share: 0.3, align: 'left', value: (item) => item.label || '' },
+  { title: 'Width (mm)', share: 0.14, align: 'right', value: (item) => `${pxToMm(item.width)}` },
+  { title: 'Depth (mm)', share: 0.14, align: 'right', value: (item) => `${pxToMm(item.height)}` },
+  { title: 'Rotation', share: 0.12, align: 'right', value: (item) => `${Math.round(item.rotation || 0)}°` },
+];
+const ROW_HEIGHT = 7;
+
+const drawSchedulePage = (sheet, items) => {
+  const { pdf, page } = sheet;
+  const tableWidth = page.width - MARGIN * 2;
+  const fixtures = [...items].filter((item) => !isMeasureItem(item)).sort((a, b) => getDrawOrder(a) - getDrawOrder(b));
+
+  const drawRow = (cells, y, { bold = false, fill = null } = {}) => {
+    if (fill) {
+      pdf.setFillColor(...fill);
+      pdf.rect(MARGIN, y, tableWidth, ROW_HEIGHT, 'F');
+    }
+    pdf.setFontSize(9);
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.setTextColor(40, 40, 40);
+    let x = MARGIN;
+    SCHEDULE_COLUMNS.forEach((column, i) => {
+      const width = column.share * tableWidth;
+      const text = pdf.splitTextToSize(cells[i], width - 4)[0] || '';
+      pdf.text(text, column.align === 'right' ? x + width - 2 : x + 2, y + ROW_HEIGHT / 2, { align: column.align, baseline: 'middle' });
+      x += width;
+    });
+  };
+  const drawTitleRow = (y) => drawRow(SCHEDULE_COLUMNS.map((column) => column.title), y, { bold: true, fill: [241, 245, 249] });
+
+  let y = addPackPage(sheet, 'Fixture Schedule');
+  drawTitleRow(y);
+  y += ROW_HEIGHT;
+  fixtures.forEach((item, i) => {
+    // Carry on over as many pages as it takes, repeating the column titles
+    if (y + ROW_HEIGHT > getContentBottom(page)) {
+      y = addPackPage(sheet, 'Fixture Schedule (continued)');
+      drawTitleRow(y);
+      y += ROW_HEIGHT;
+    }
+    drawRow(SCHEDULE_COLUMNS.map((column) => column.value(item, i)), y, { fill: i % 2 === 1 ? [248, 250, 252] : null });
+    pdf.setDrawColor(226, 232, 240);
+    pdf.setLineWidth(0.2);
+    pdf.line(MARGIN, y + ROW_HEIGHT, MARGIN + tableWidth, y + ROW_HEIGHT);
+    y += ROW_HEIGHT;
+  });
+};
+
+const drawNotesPage = (sheet) => {
+  const { pdf, page, options } = sheet;
+  const setNoteFont = () => {
+    pdf.setFontSize(10);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(40, 40, 40);
+  };
+  let y = addPackPage(sheet, 'Notes');
+  setNoteFont();
+  const lines = pdf.splitTextToSize(options.notes?.trim() || 'No notes.', page.width - MARGIN * 2);
+  lines.forEach((line) => {
+    if (y > getContentBottom(page)) {
+      y = addPackPage(sheet, 'Notes (continued)');
+      setNoteFont();
+    }
+    pdf.text(line, MARGIN, y);
+    y += 5;
+  });
+};
+
+// "Page n of N" under each page's footer line
+const numberPages = ({ pdf, page }) => {
+  const count = pdf.getNumberOfPages();
+  for (let i = 1; i <= count; i++) {
+    pdf.setPage(i);
+    pdf.setTextColor(100, 100, 100);
+    pdf.setFontSize(8);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(`Page ${i} of ${count}`, page.width / 2, page.height - 15, { align: 'center' });
+  }
+};
+
+// The plan on its own, or with `options.pack` the full pack: title page, plan, fixture schedule and notes.
+// `details` are the project's customer and revision details (see projectDetails.js), shown in every
+// page's title block. Returns the finished jsPDF document
+export function createPlanPdf({ items, details = {}, options }) {
+  const pdf = new jsPDF({
+    orientation: options.orientation,
+    unit: 'mm',
+    format: options.paper,
+  });
+  const sheet = { pdf, page: getPageSize(options), options, details, date: formatDate() };
+  const planSubtitle = `Scale 1:${options.scale} at ${PAPER_SIZES[options.paper].label}`;
+
+  if (options.pack) {
+    decoratePage(sheet, 'Bathroom Layout Plan');
+    drawTitlePage(sheet);
+    pdf.addPage(options.paper, options.orientation);
+  }
+  decoratePage(sheet, 'Bathroom Layout Plan', planSubtitle);
+  drawPlanPage(sheet, items);
+
+  if (options.pack) {
+    drawSchedulePage(sheet, items);
+    drawNotesPage(sheet);
+    numberPages(sheet);
+  }
+
+  return pdf;
+}
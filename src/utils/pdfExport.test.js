@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { getPlanFit, createPlanPdf, DEFAULT_PDF_OPTIONS } from './pdfExport';
+
+// 3400 × 2000 mm inside 100 mm walls, so 3600 × 2200 mm overall
+const room = { id: 'room', type: 'room-square', label: 'Room', x: 100, y: 100, width: 1700, height: 1000, rotation: 0, wallThickness: 50 };
+const options = (extra = {}) => ({ ...DEFAULT_PDF_OPTIONS, ...extra });
+
+describe('getPlanFit', () => {
+  it('measures the plan over its walls', () => {
+    expect(getPlanFit([room], options())).toMatchObject({ widthMm: 3600, heightMm: 2200 });
+  });
+
+  it('fits the plan on the page at the chosen scale', () => {
+    // A4 portrait leaves 180 mm across for the plan - 3600 mm at 1:20
+    expect(getPlanFit([room], options()).fits).toBe(true);
+    expect(getPlanFit([{ ...room, width: 1701 }], options()).fits).toBe(false);
+    expect(getPlanFit([{ ...room, width: 1701 }], options({ scale: 25 })).fits).toBe(true);
+    expect(getPlanFit([{ ...room, width: 1701 }], options({ orientation: 'landscape' })).fits).toBe(true);
+  });
+
+  it('checks the height too', () => {
+    // 204 mm down the A4 portrait page under the title block, 117 mm landscape
+    expect(getPlanFit([{ ...room, height: 1940 }], options()).fits).toBe(true);
+    expect(getPlanFit([{ ...room, height: 1941 }], options()).fits).toBe(false);
+    expect(getPlanFit([{ ...room, height: 1940 }], options({ orientation: 'landscape' })).fits).toBe(false);
+    expect(getPlanFit([{ ...room, height: 1940 }], options({ paper: 'a3', orientation: 'landscape' })).fits).toBe(true);
+  });
+});
+
+describe('createPlanPdf', () => {
+  const pageOf = (extra) => {
+    const { pageSize } = createPlanPdf({ items: [room], options: options(extra) }).internal;
+    return [Math.round(pageSize.getWidth()), Math.round(pageSize.getHeight())];
+  };
+
+  it('lays the plan out on the chosen paper', () => {
+    expect(pageOf({})).toEqual([210, 297]);
+    expect(pageOf({ paper: 'a3', orientation: 'landscape' })).toEqual([420, 297]);
+  });
+
+  it('draws every kind of item as vectors', () => {
+    const types = ['bath', 'bath-taps', 'shower', 'toilet', 'sink', 'cupboard', 'radiator', 'towel-rail', 'window', 'shower-head', 'mirror', 'light'];
+    const fixtures = types.map((type, i) => ({ id: type, type, x: 150 + (i % 4) * 200, y: 150 + Math.floor(i / 4) * 200, width: 80, height: 40, rotation: 0 }));
+    const door = { id: 'door', type: 'door', x: 400, y: 1100, width: 100, height: 15, rotation: 0 };
+    const measure = { id: 'measure', type: 'measure', x: 150, y: 900, width: 400, height: 1, rotation: 0 };
+    const text = createPlanPdf({ items: [room, ...fixtures, door, measure], options: options() }).output();
+    ['RADIATOR', 'TOWEL RAIL', 'CUPBOARD', 'MIRROR', '800 mm', '3400 × 2000 mm internal'].forEach((label) => {
+      expect(text).toContain(`(${label})`);
+    });
+    expect(text).not.toContain('/Subtype /Image');
+  });
+});
+
+describe('PDF pack', () => {
+  const fixtures = Array.from({ length: 40 }, (_, i) => ({
+    id: `rail-${i}`, type: 'towel-rail', label: `Rail ${i + 1}`, x: 150 + (i % 8) * 60, y: 150 + Math.floor(i / 8) * 60, width: 50, height: 12, rotation: 0,
+  }));
+
+  it('is just the plan unless asked for', () => {
+    expect(createPlanPdf({ items: [room], options: options() }).getNumberOfPages()).toBe(1);
+  });
+
+  it('adds a title page, fixture schedule and notes, numbered', () => {
+    const details = { customerName: 'Mrs Smith' };
+    const pdf = createPlanPdf({ items: [room, ...fixtures.slice(0, 3)], details, options: options({ pack: true, notes: 'Tile to ceiling.' }) });
+    expect(pdf.getNumberOfPages()).toBe(4);
+    const text = pdf.output();
+    ['Mrs Smith', 'Fixture Schedule', 'Heated towel rail', 'Rail 3', 'Tile to ceiling.', 'Page 4 of 4'].forEach((label) => {
+      expect(text).toContain(`(${label})`);
+    });
+  });
+
+  it('runs a long schedule onto more pages', () => {
+    const pdf = createPlanPdf({ items: [room, ...fixtures], options: options({ pack: true }) });
+    expect(pdf.getNumberOfPages()).toBe(5);
+    expect(pdf.output()).toContain('(Fixture Schedule \\(continued\\))');
+  });
+
+  it('runs a long revision history onto more pages instead of dropping revisions', () => {
+    const revisions = Array.from({ length: 40 }, (_, i) => ({ revision: `R${i + 1}`, date: '2024-03-05T12:00:00.000Z', description: `Change ${i + 1}` }));
+    const pdf = createPlanPdf({ items: [room], details: { revisions }, options: options({ pack: true }) });
+    expect(pdf.getNumberOfPages()).toBe(5);
+    const text = pdf.output();
+    ['Revision History \\(continued\\)', 'R1', 'Change 40', 'Page 5 of 5'].forEach((label) => {
+      expect(text).toContain(`(${label})`);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+// The plan as simple vector shapes - the canvas's own symbols reduced to outlines and text - so the PDF
+// and SVG exports draw exactly the same thing from the items.
+//
+// Each item becomes a list of primitives in canvas px:
+//   { kind: 'path', layer, points, closed, stroke, fill, pen, dash }
+//   { kind: 'text', layer, text, x, y, rotation, size, color, bold }
+// Colours are [r, g, b] (null for no stroke or fill), `pen` names a PEN_WEIGHTS entry, and pen weights,
+// dashes and text sizes are as printed on paper (mm, mm and pt) - exports at another scale multiply them up.
+
+import { pxToMm } from './units';
+import { isRoomItem, isMeasureItem, getRoomOutline, getItemFootprint, getWallThickness, getDoorSettings, getDoorSwing, getDoorSwingArea, roundedBoxPoints, toCanvasPoints } from './geometry';
+
+// Named groups the shapes are sorted into - doors and windows sit with the room they're cut into
+export const PLAN_LAYERS = [
+  { id: 'room', label: 'Room' },
+  { id: 'fixtures', label: 'Fixtures' },
+  { id: 'dimensions', label: 'Dimensions' },
+  { id: 'annotations', label: 'Annotations' },
+];
+
+export const PEN_WEIGHTS = { wall: 0.35, outline: 0.25, detail: 0.13 };
+
+const INK = [51, 65, 85];
+const WHITE = [255, 255, 255];
+const WALL_FILL = [71, 85, 105];
+const INNER_FILL = [241, 245, 249];
+const WATER_FILL = [224, 242, 254];
+const WATER_INK = [14, 165, 233];
+const SWING_FILL = [255, 244, 235];
+const DASH = [1, 1];
+
+const ellipsePoints = (cx, cy, rx, ry, segments = 36) => Array.from({ length: segments }, (_, i) => {
+  const angle = (i / segments) * Math.PI * 2;
+  return [cx + Math.cos(angle) * rx, cy + Math.sin(angle) * ry];
+}).flat();
+
+const boxPoints = (x, y, width, height) => [x, y, x + width, y, x + width, y + height, x, y + height];
+
+const roundedBox = (x, y, width, height, radius) => roundedBoxPoints(x, y, width, height, Math.min(radius, width / 2, height / 2));
+
+// Rooms first, then fixtures, then things mounted above them - as on the canvas
+export const getDrawOrder = (item) => {
+  if (isRoomItem(item)) return 0;
+  if (['shower-head', 'mirror', 'light'].includes(item.type)) return 2;
+  if (isMeasureItem(item)) return 3;
+  return 1;
+};
+
+// Text turned with its item but never upside down - degrees clockwise, from -90 to 90
+export const getUprightAngle = (rotation) => {
+  const turned = ((rotation % 360) + 360) % 360;
+  return turned > 90 && turned <= 270 ? turned - 180 : turned;
+};
+
+// `style` is 'FD' (fill and outline), 'F' or 'S' as in jsPDF
+const createPath = (layer, points, style = 'FD', { stroke = INK, fill = WHITE, pen = 'outline', dash = null, closed = true } = {}) => ({
+  kind: 'path',
+  layer,
+  points,
+  closed,
+  stroke: style === 'F' ? null : stroke,
+  fill: style === 'S' ? null : fill,
+  pen,
+  dash,
+});
+
+// Paths given in the item's own frame
+const createShape = (item, layer) => (points, style, options) => createPath(layer, toCanvasPoints(item, points), style, options);
+
+const createText = (item, layer) => (text, [x, y], { size = 6, color = INK, bold = true } = {}) => {
+  const [cx, cy] = toCanvasPoints(item, [x, y]);
+  return { kind: 'text', layer, text, x: cx, y: cy, rotation: item.rotation || 0, size, color, bold };
+};
+
+const getRoomDrawing = (room) => [
+  createPath('room', getItemFootprint(room), 'FD', { fill: WALL_FILL, pen: 'wall' }),
+  createShape(room, 'room')(getRoomOutline(room), 'FD', { pen: 'detail' }),
+  createText(room, 'dimensions')(
+    `${pxToMm(room.width)} × ${pxToMm(room.height)} mm internal`,
+    [room.width / 2, room.height + getWallThickness(room) + 12],
+    { size: 7, bold: false },
+  ),
+];
+
+const getDoorDrawing = (item) => {
+  const shape = createShape(item, 'room');
+  const { doorType, hinge } = getDoorSettings(item);
+  const swing = getDoorSwing(item);
+  const shapes = [];
+  // Clear the wall across the opening
+  if (item.hostId) shapes.push(shape(boxPoints(0, 0, item.width, item.height), 'F'));
+
+  if (doorType === 'pocket') {
+    return [
+      ...shapes,
+      shape(boxPoints(0, item.height / 2 - 3, item.width, 6), 'S', { pen: 'detail', dash: DASH }),
+      shape(boxPoints(hinge === 'left' ? -item.width : item.width, item.height / 2 - 3, item.width, 6)),
+    ];
+  }
+
+  const area = getDoorSwingArea(item);
+  if (area.length) shapes.push(createPath('room', area, 'FD', { fill: SWING_FILL, pen: 'detail', dash: DASH }));
+
+  const toPoint = (angle, length) => [
+    swing.x + Math.cos((angle * Math.PI) / 180) * length,
+    swing.y + Math.sin((angle * Math.PI) / 180) * length,
+  ];
+  if (doorType === 'hinged') {
+    // The leaf, 6 px thick, turned to the opening angle about the hinge
+    const radians = (swing.openAngle * Math.PI) / 180;
+    const leaf = boxPoints(0, -3, item.width, 6).map((value, i, points) => (i % 2 === 0
+      ? swing.x + value * Math.cos(radians) - points[i + 1] * Math.sin(radians)
+      : swing.y + points[i - 1] * Math.sin(radians) + value * Math.cos(radians)));
+    shapes.push(shape(leaf));
+  } else {
+    shapes.push(shape([
+      swing.x,
+      swing.y,
+      ...toPoint((swing.closedAngle + swing.openAngle) / 2, item.width / 2),
+      ...toPoint(swing.closedAngle, item.width * Math.cos((swing.angle * Math.PI) / 360)),
+    ], 'S', { pen: 'wall', closed: false }));
+  }
+  return shapes;
+};
+
+const getMeasureDrawing = (item) => {
+  const shape = createShape(item, 'dimensions');
+  const tick = 6;
+  const arrow = 8;
+  const line = { stroke: WATER_INK, closed: false };
+  const head = { fill: WATER_INK };
+  const rotation = ((item.rotation || 0) % 360 + 360) % 360;
+  const isUpsideDown = rotation > 90 && rotation <= 270;
+  return [
+    shape([0, 0, item.width, 0], 'S', line),
+    shape([0, -tick, 0, tick], 'S', line),
+    shape([item.width, -tick, item.width, tick], 'S', line),
+    shape([0, 0, arrow, -arrow / 2, arrow, arrow / 2], 'F', head),
+    shape([item.width, 0, item.width - arrow, -arrow / 2, item.width - arrow, arrow / 2], 'F', head),
+    createText(item, 'dimensions')(`${pxToMm(item.width)} mm`, [item.width / 2, isUpsideDown ? 10 : -10], { color: WATER_INK }),
+  ];
+};
+
+// One item in the canvas's own shapes, simplified to outlines for print
+export function getItemDrawing(item) {
+  if (isRoomItem(item)) return getRoomDrawing(item);
+  if (isMeasureItem(item)) return getMeasureDrawing(item);
+  if (item.type === 'door') return getDoorDrawing(item);
+
+  const layer = item.type === 'window' ? 'room' : 'fixtures';
+  const shape = createShape(item, layer);
+  const { width: w, height: h } = item;
+  const label = (text, color) => createText(item, 'annotations')(text, [w / 2, -8], { color });
+
+  switch (item.type) {
+    case 'bath':
+      return [
+        shape(roundedBox(0, 0, w, h, 10)),
+        shape(roundedBox(10, 10, w - 20, h - 20, 6), 'FD', { fill: INNER_FILL, pen: 'detail' }),
+        shape(ellipsePoints(w - 28, h / 2, 8, 8), 'F', { fill: INK }),
+      ];
+    case 'toilet':
+      return [
+        shape(roundedBox(w * 0.15, 0, w * 0.7, h * 0.3, 4)),
+        shape(ellipsePoints(w / 2, h * 0.65, w * 0.4, h * 0.32)),
+        shape(ellipsePoints(w / 2, h * 0.65, w * 0.28, h * 0.22), 'FD', { fill: INNER_FILL, pen: 'detail' }),
+      ];
+    case 'shower':
+      return [
+        shape(roundedBox(0, 0, w, h, 8)),
+        shape(roundedBox(6, 6, w - 12, h - 12, 4), 'FD', { stroke: WATER_INK, fill: WATER_FILL, pen: 'detail' }),
+        shape([0, 0, w, h], 'S', { stroke: WATER_INK, pen: 'detail', closed: false }),
+        shape([w, 0, 0, h], 'S', { stroke: WATER_INK, pen: 'detail', closed: false }),
+        shape(ellipsePoints(w / 2, h / 2, 10, 10)),
+      ];
+    case 'sink':
+      return [
+        shape(roundedBox(0, 0, w, h, 8)),
+        shape(ellipsePoints(w / 2, h / 2 + 5, w * 0.35, h * 0.28), 'FD', { fill: INNER_FILL, pen: 'detail' }),
+        shape(ellipsePoints(w / 2, h / 2 + 5, 5, 5), 'F', { fill: INK }),
+        shape(roundedBox(w / 2 - 4, 2, 8, 12, 2), 'F', { fill: INK }),
+      ];
+    case 'radiator':
+      return [
+        shape(roundedBox(0, 0, w, h, 3), 'FD', { stroke: [245, 158, 11] }),
+        label('RADIATOR', [245, 158, 11]),
+      ];
+    case 'towel-rail':
+      return [
+        shape(roundedBox(0, 0, w, h, 3), 'FD', { stroke: [245, 158, 11] }),
+        shape([3, h * 0.35, w - 3, h * 0.35], 'S', { stroke: [245, 158, 11], pen: 'detail', closed: false }),
+        shape([3, h * 0.65, w - 3, h * 0.65], 'S', { stroke: [245, 158, 11], pen: 'detail', closed: false }),
+        label('TOWEL RAIL', [245, 158, 11]),
+      ];
+    case 'light': {
+      const radius = Math.min(w, h) / 2;
+      const arm = radius * Math.SQRT1_2;
+      return [
+        shape(ellipsePoints(w / 2, h / 2, radius, radius), 'FD', { stroke: [245, 158, 11] }),
+        shape([w / 2 - arm, h / 2 - arm, w / 2 + arm, h / 2 + arm], 'S', { stroke: [245, 158, 11], closed: false }),
+        shape([w / 2 + arm, h / 2 - arm, w / 2 - arm, h / 2 + arm], 'S', { stroke: [245, 158, 11], closed: false }),
+      ];
+    }
+    case 'cupboard':
+      return [
+        shape(roundedBox(0, 0, w, h, 4), 'FD', { stroke: [139, 92, 246] }),
+        shape([w / 2, 4, w / 2, h - 4], 'S', { pen: 'detail', closed: false }),
+        shape(ellipsePoints(w * 0.35, h / 2, 3, 3), 'F', { fill: INK }),
+        shape(ellipsePoints(w * 0.65, h / 2, 3, 3), 'F', { fill: INK }),
+        label('CUPBOARD', [139, 92, 246]),
+      ];
+    case 'window':
+      return [
+        shape(boxPoints(0, 0, w, h), 'FD', { pen: 'detail' }),
+        shape([0, h / 2, w, h / 2], 'S', { stroke: WATER_INK, pen: 'wall', closed: false }),
+      ];
+    case 'mirror':
+      return [
+        shape(roundedBox(0, 0, w, h, 2), 'FD', { stroke: WATER_INK, fill: WATER_FILL }),
+        label('MIRROR', WATER_INK),
+      ];
+    case 'shower-head':
+      return [shape(ellipsePoints(w / 2, h / 2, w / 2, w / 2), 'S', { dash: [1.5, 1] })];
+    case 'bath-taps':
+      return [
+        shape(roundedBox(0, 0, w, h, 3), 'FD', { stroke: [148, 163, 184] }),
+        shape(ellipsePoints(w * 0.25, h / 2, 4, 4), 'FD', { stroke: [220, 38, 38], fill: [239, 68, 68], pen: 'detail' }),
+        shape(ellipsePoints(w * 0.75, h / 2, 4, 4), 'FD', { stroke: [37, 99, 235], fill: [59, 130, 246], pen: 'detail' }),
+      ];
+    default:
+      return [shape(boxPoints(0, 0, w, h))];
+  }
+}
+
+// Every item's primitives, in drawing order
+export const getPlanDrawing = (items) => [...items]
+  .sort((a, b) => getDrawOrder(a) - getDrawOrder(b))
+  .map((item) => ({ item, primitives: getItemDrawing(item) }));
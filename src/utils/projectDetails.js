@@ -0,0 +1,47 @@
+// Customer and project details kept in the plan's metadata and printed in the PDF title block.
+//
+// metadata: { customerName, siteAddress, contact, surveyor, reference, revision,
+//             revisions: [{ revision: 'A', date: '<ISO date>', description: '...' }] }
+//
+// `revision` is the current revision letter; `revisions` is the history, oldest first.
+
+export const PROJECT_DETAIL_FIELDS = [
+  { key: 'customerName', label: 'Customer name' },
+  { key: 'siteAddress', label: 'Site address', multiline: true },
+  { key: 'contact', label: 'Contact', placeholder: 'Phone or email' },
+  { key: 'surveyor', label: 'Surveyor' },
+  { key: 'reference', label: 'Reference number' },
+  { key: 'revision', label: 'Revision letter' },
+];
+
+// A after nothing, B after A ... AA after Z
+export function getNextRevision(revision) {
+  const letters = (revision || '').toUpperCase();
+  if (!/^[A-Z]+$/.test(letters)) return 'A';
+  const last = letters[letters.length - 1];
+  if (last !== 'Z') return `${letters.slice(0, -1)}${String.fromCharCode(last.charCodeAt(0) + 1)}`;
+  return `${letters.length > 1 ? getNextRevision(letters.slice(0, -1)) : 'A'}A`;
+}
+
+export function formatRevisionDate(date) {
+  const parsed = new Date(date);
+  if (Number.isNaN(parsed.getTime())) return '';
+  return parsed.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Problems with the details part of a plan file's metadata (empty when they're valid)
+export function getProjectDetailProblems(metadata) {
+  const problems = [];
+  PROJECT_DETAIL_FIELDS.forEach(({ key }) => {
+    if (metadata[key] !== undefined && metadata[key] !== null && typeof metadata[key] !== 'string') {
+      problems.push(`metadata.${key} must be text`);
+    }
+  });
+  const { revisions } = metadata;
+  const isRevision = (entry) => entry && typeof entry.revision === 'string' && typeof entry.date === 'string' &&
+    (entry.description === undefined || typeof entry.description === 'string');
+  if (revisions !== undefined && !(Array.isArray(revisions) && revisions.every(isRevision))) {
+    problems.push('metadata.revisions must be a list of { "revision", "date", "description" }');
+  }
+  return problems;
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { getNextRevision, formatRevisionDate, getProjectDetailProblems } from './projectDetails';
+
+describe('getNextRevision', () => {
+  it('starts at A', () => {
+    expect(getNextRevision('')).toBe('A');
+    expect(getNextRevision(undefined)).toBe('A');
+  });
+
+  it('steps through the alphabet', () => {
+    expect(getNextRevision('A')).toBe('B');
+    expect(getNextRevision('Y')).toBe('Z');
+    expect(getNextRevision('c')).toBe('D');
+  });
+
+  it('carries past Z like a spreadsheet column', () => {
+    expect(getNextRevision('Z')).toBe('AA');
+    expect(getNextRevision('AA')).toBe('AB');
+    expect(getNextRevision('AZ')).toBe('BA');
+    expect(getNextRevision('ZZ')).toBe('AAA');
+  });
+
+  it('starts again at A after anything that is not a revision letter', () => {
+    expect(getNextRevision('3')).toBe('A');
+    expect(getNextRevision('B1')).toBe('A');
+  });
+});
+
+describe('formatRevisionDate', () => {
+  it('writes dates out in UK style and ignores bad ones', () => {
+    expect(formatRevisionDate('2024-03-05T12:00:00.000Z')).toBe('5 Mar 2024');
+    expect(formatRevisionDate('not a date')).toBe('');
+  });
+});
+
+describe('getProjectDetailProblems', () => {
+  it('accepts complete and empty details', () => {
+    expect(getProjectDetailProblems({})).toEqual([]);
+    expect(getProjectDetailProblems({
+      customerName: 'Mrs Smith',
+      revision: 'B',
+      revisions: [{ revision: 'A', date: '2024-03-05T12:00:00.000Z', description: 'First issue' }, { revision: 'B', date: '2024-04-01T09:00:00.000Z' }],
+    })).toEqual([]);
+  });
+
+  it('reports fields of the wrong type and malformed history', () => {
+    expect(getProjectDetailProblems({ customerName: 42, revisions: [{ revision: 'A' }] })).toEqual([
+      'metadata.customerName must be text',
+      'metadata.revisions must be a list of { "revision", "date", "description" }',
+    ]);
+  });
+});
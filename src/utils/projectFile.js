@@ -0,0 +1,236 @@
+// Project file (.bathplan.json) - the portable format for handing a plan between people.
+//
+// {
+//   "format": "bathplan",
+//   "version": 1,
+//   "units": { "length": "px", "pixelsPerMm": 0.5 },
+//   "metadata": { "name": "...", "createdAt": "<ISO date>", "modifiedAt": "<ISO date>", "application": "...",
+//                 "customerName": "...", "revision": "B", "revisions": [...] },
+//   "isRoomLocked": false,
+//   "items": [{ "id": "...", "type": "bath", "label": "Bath", "x": 0, "y": 0, "width": 200, "height": 90, "rotation": 0 }]
+// }
+//
+// Item geometry is stored in canvas units; `units.pixelsPerMm` says how many of those make a
+// millimetre, and files written at a different scale are rescaled on import. Hand-written files
+// (e.g. the template manifest) may use `"units": { "length": "mm" }` to give sizes in millimetres.
+// The customer and project details in `metadata` are listed in projectDetails.js.
+
+import { PIXELS_PER_MM } from './units';
+import { getProjectDetailProblems } from './projectDetails';
+
+export const PROJECT_FORMAT = 'bathplan';
+export const PROJECT_FILE_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = '.bathplan.json';
+
+const APPLICATION = 'AM Hancock Bathroom Planner';
+
+// Item fields measured in canvas units, rescaled when a file uses another pixelsPerMm
+const SCALED_KEYS = ['x', 'y', 'width', 'height', 'wallThickness', 'points', 'cutWidth', 'cutDepth', 'offset', 'clearanceWidth', 'clearanceDepth'];
+
+// Field types for an item - a trailing '?' marks the field optional
+const ITEM_SCHEMA = {
+  id: 'string',
+  type: 'string',
+  label: 'string?',
+  x: 'number',
+  y: 'number',
+  width: 'number',
+  height: 'number',
+  rotation: 'number?',
+  wallThickness: 'number?',
+  points: 'points?',
+  cutWidth: 'number?',
+  cutDepth: 'number?',
+  cutCorner: 'string?',
+  hostId: 'string?',
+  wallIndex: 'number?',
+  offset: 'number?',
+  sillHeight: 'number?',
+  doorType: 'string?',
+  hinge: 'string?',
+  swing: 'string?',
+  openingAngle: 'number?',
+  clearanceWidth: 'number?',
+  clearanceDepth: 'number?',
+  zoneRating: 'number?',
+};
+
+// Upgrade steps keyed by the version they upgrade FROM (e.g. 1: file => v2 file)
+const MIGRATIONS = {};
+
+export class ProjectFileError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ProjectFileError';
+    this.problems = problems;
+  }
+}
+
+const TYPE_NAMES = { points: 'list of at least 3 x,y corners' };
+
+const checkType = (value, expected) => {
+  if (expected === 'number') return Number.isFinite(value);
+  if (expected === 'points') {
+    return Array.isArray(value) && value.length >= 6 && value.length % 2 === 0 && value.every(Number.isFinite);
+  }
+  return typeof value === expected;
+};
+
+// Lists what is wrong with a single item (empty when it's valid)
+export function getItemProblems(item, path = 'item') {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return [`${path} must be an object`];
+  }
+  const problems = [];
+  Object.entries(ITEM_SCHEMA).forEach(([key, rule]) => {
+    const optional = rule.endsWith('?');
+    const expected = optional ? rule.slice(0, -1) : rule;
+    if (item[key] === undefined || item[key] === null) {
+      if (!optional) problems.push(`${path}.${key} is missing`);
+    } else if (!checkType(item[key], expected)) {
+      problems.push(`${path}.${key} must be a ${TYPE_NAMES[expected] || expected}`);
+    }
+  });
+  if (Number.isFinite(item.width) && item.width <= 0) problems.push(`${path}.width must be greater than 0`);
+  if (Number.isFinite(item.height) && item.height <= 0) problems.push(`${path}.height must be greater than 0`);
+  if (item.type === 'room-polygon' && item.points === undefined) problems.push(`${path}.points is missing`);
+  if (Number.isFinite(item.zoneRating) && ![0, 1, 2, 3].includes(item.zoneRating)) {
+    problems.push(`${path}.zoneRating must be an electrical zone from 0 to 3`);
+  }
+  return problems;
+}
+
+// Canvas units per millimetre in the file, or null when units are invalid
+const getFilePixelsPerMm = (units) => {
+  if (units?.length === 'mm') return 1;
+  if (units?.length === 'px' && Number.isFinite(units.pixelsPerMm) && units.pixelsPerMm > 0) return units.pixelsPerMm;
+  return null;
+};
+
+const getProjectProblems = (project) => {
+  const problems = [];
+  if (getFilePixelsPerMm(project.units) === null) {
+    problems.push('units must be { "length": "px", "pixelsPerMm": <positive number> } or { "length": "mm" }');
+  }
+  if (project.metadata !== undefined && (typeof project.metadata !== 'object' || project.metadata === null)) {
+    problems.push('metadata must be an object');
+  } else if (project.metadata) {
+    problems.push(...getProjectDetailProblems(project.metadata));
+  }
+  if (project.isRoomLocked !== undefined && typeof project.isRoomLocked !== 'boolean') {
+    problems.push('isRoomLocked must be true or false');
+  }
+  if (!Array.isArray(project.items)) {
+    problems.push('items must be a list');
+  } else {
+    project.items.forEach((item, index) => problems.push(...getItemProblems(item, `items[${index}]`)));
+    const ids = project.items.map((item) => item?.id);
+    if (new Set(ids).size !== ids.length) problems.push('items contain duplicate ids');
+  }
+  return problems;
+};
+
+// Brings any supported file up to the current version
+const migrate = (data) => {
+  // Unversioned files are a bare items array, as copied out of the undo history
+  let project = Array.isArray(data)
+    ? { format: PROJECT_FORMAT, version: 1, units: { length: 'px', pixelsPerMm: PIXELS_PER_MM }, items: data }
+    : data;
+
+  if (!project || typeof project !== 'object') {
+    throw new ProjectFileError('This file does not contain a bathroom plan.');
+  }
+  if (project.format !== PROJECT_FORMAT) {
+    throw new ProjectFileError('This is not a bathroom plan file (missing "format": "bathplan").');
+  }
+  if (!Number.isInteger(project.version) || project.version < 1) {
+    throw new ProjectFileError('This plan file has no valid version number.');
+  }
+  if (project.version > PROJECT_FILE_VERSION) {
+    throw new ProjectFileError(
+      `This plan was saved by a newer version of the planner (file version ${project.version}). Please update and try again.`
+    );
+  }
+
+  while (project.version < PROJECT_FILE_VERSION) {
+    const step = MIGRATIONS[project.version];
+    if (!step) throw new ProjectFileError(`Plan files of version ${project.version} can no longer be opened.`);
+    project = step(project);
+  }
+  return project;
+};
+
+export function createProjectFile({ items, isRoomLocked, metadata = {} }) {
+  const now = new Date().toISOString();
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_FILE_VERSION,
+    units: { length: 'px', pixelsPerMm: PIXELS_PER_MM },
+    metadata: {
+      ...metadata,
+      createdAt: metadata.createdAt || now,
+      modifiedAt: now,
+      application: APPLICATION,
+    },
+    isRoomLocked: Boolean(isRoomLocked),
+    items,
+  };
+}
+
+// Parses file text into { items, isRoomLocked, metadata }, throwing ProjectFileError on anything invalid
+export function parseProjectFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ProjectFileError('The file could not be read - it is not valid JSON.');
+  }
+  return readProject(data);
+}
+
+// Same as parseProjectFile but for an already-parsed project object
+export function readProject(data) {
+  const project = migrate(data);
+  const problems = getProjectProblems(project);
+  if (problems.length > 0) {
+    throw new ProjectFileError('The plan file is damaged or incomplete.', problems);
+  }
+
+  const scale = PIXELS_PER_MM / getFilePixelsPerMm(project.units);
+  const items = project.items.map((item) => {
+    const scaled = { ...item, rotation: item.rotation || 0 };
+    if (scale !== 1) {
+      SCALED_KEYS.forEach((key) => {
+        if (Number.isFinite(item[key])) scaled[key] = item[key] * scale;
+        else if (Array.isArray(item[key])) scaled[key] = item[key].map((value) => value * scale);
+      });
+    }
+    return scaled;
+  });
+
+  return {
+    items,
+    isRoomLocked: Boolean(project.isRoomLocked),
+    metadata: project.metadata || {},
+  };
+}
+
+export function getProjectFileName(name) {
+  const slug = (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || `bathroom-plan-${new Date().toISOString().split('T')[0]}`}${PROJECT_FILE_EXTENSION}`;
+}
+
+export function downloadProjectFile(project) {
+  const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getProjectFileName(project.metadata?.name);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
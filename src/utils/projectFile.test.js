@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { createProjectFile, parseProjectFile, getItemProblems, getProjectFileName, ProjectFileError, PROJECT_FILE_VERSION } from './projectFile';
+
+const bath = { id: 'bath', type: 'bath', label: 'Bath', x: 10, y: 20, width: 200, height: 90, rotation: 0 };
+
+const parseError = (data) => {
+  try {
+    parseProjectFile(JSON.stringify(data));
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the plan to be rejected');
+};
+
+describe('createProjectFile', () => {
+  it('writes the current version in canvas units and keeps the creation date', () => {
+    const file = createProjectFile({ items: [bath], isRoomLocked: 1, metadata: { name: 'Smith', createdAt: '2024-01-01T00:00:00.000Z' } });
+    expect(file).toMatchObject({
+      format: 'bathplan',
+      version: PROJECT_FILE_VERSION,
+      units: { length: 'px', pixelsPerMm: 0.5 },
+      isRoomLocked: true,
+      items: [bath],
+    });
+    expect(file.metadata.name).toBe('Smith');
+    expect(file.metadata.createdAt).toBe('2024-01-01T00:00:00.000Z');
+    expect(Date.parse(file.metadata.modifiedAt)).not.toBeNaN();
+  });
+
+  it('reads back what it wrote', () => {
+    const plan = parseProjectFile(JSON.stringify(createProjectFile({ items: [bath], isRoomLocked: false, metadata: { name: 'Smith' } })));
+    expect(plan.items).toEqual([bath]);
+    expect(plan.isRoomLocked).toBe(false);
+    expect(plan.metadata.name).toBe('Smith');
+  });
+});
+
+describe('migrations', () => {
+  it('opens an unversioned bare items array as a version 1 plan', () => {
+    const { id, type, x, y, width, height } = bath;
+    const plan = parseProjectFile(JSON.stringify([{ id, type, x, y, width, height }]));
+    expect(plan.items).toEqual([{ id, type, x, y, width, height, rotation: 0 }]);
+    expect(plan.isRoomLocked).toBe(false);
+    expect(plan.metadata).toEqual({});
+  });
+
+  it('refuses files from a newer version of the planner', () => {
+    const error = parseError({ ...createProjectFile({ items: [] }), version: PROJECT_FILE_VERSION + 1 });
+    expect(error).toBeInstanceOf(ProjectFileError);
+    expect(error.message).toMatch(/newer version/);
+  });
+
+  it('refuses files without the bathplan format or a valid version', () => {
+    const file = createProjectFile({ items: [] });
+    expect(parseError({ ...file, format: undefined }).message).toMatch(/not a bathroom plan/);
+    expect(parseError({ ...file, version: 0 }).message).toMatch(/no valid version/);
+  });
+});
+
+describe('unit scaling', () => {
+  it('rescales plans saved at another pixels-per-mm', () => {
+    const plan = parseProjectFile(JSON.stringify({ ...createProjectFile({ items: [bath] }), units: { length: 'px', pixelsPerMm: 1 } }));
+    expect(plan.items[0]).toMatchObject({ x: 5, y: 10, width: 100, height: 45, rotation: 0 });
+  });
+
+  it('reads hand-written plans given in millimetres', () => {
+    const plan = parseProjectFile(JSON.stringify({ ...createProjectFile({ items: [bath] }), units: { length: 'mm' } }));
+    expect(plan.items[0]).toMatchObject({ x: 5, y: 10, width: 100, height: 45 });
+  });
+
+  it('leaves plans at the canvas scale untouched', () => {
+    const plan = parseProjectFile(JSON.stringify(createProjectFile({ items: [bath] })));
+    expect(plan.items[0]).toEqual(bath);
+  });
+
+  it('rejects units it cannot convert', () => {
+    const error = parseError({ ...createProjectFile({ items: [bath] }), units: { length: 'px', pixelsPerMm: 0 } });
+    expect(error.problems).toContainEqual(expect.stringMatching(/^units must be/));
+  });
+});
+
+describe('validation', () => {
+  it('lists every problem with the items', () => {
+    const error = parseError(createProjectFile({ items: [bath, { ...bath, width: -1 }, { id: 'x', type: 'bath', x: 0, y: 0, height: 10 }] }));
+    expect(error).toBeInstanceOf(ProjectFileError);
+    expect(error.problems).toEqual([
+      'items[1].width must be greater than 0',
+      'items[2].width is missing',
+      'items contain duplicate ids',
+    ]);
+  });
+
+  it('checks field types and electrical zone ratings', () => {
+    expect(getItemProblems({ ...bath, x: '10', label: 5 })).toEqual(['item.label must be a string', 'item.x must be a number']);
+    expect(getItemProblems({ ...bath, zoneRating: 4 })).toEqual(['item.zoneRating must be an electrical zone from 0 to 3']);
+    expect(getItemProblems(null, 'items[0]')).toEqual(['items[0] must be an object']);
+  });
+
+  it('reports text that is not JSON', () => {
+    expect(() => parseProjectFile('{ nope')).toThrow(/not valid JSON/);
+  });
+});
+
+describe('getProjectFileName', () => {
+  it('slugs the project name', () => {
+    expect(getProjectFileName('Smith – Ensuite (v2)')).toBe('smith-ensuite-v2.bathplan.json');
+  });
+});
@@ -0,0 +1,107 @@
+// Named projects kept in IndexedDB - one record per customer plan
+//
+// Record: { id, name, customerName, createdAt, modifiedAt, thumbnail, plan }
+// where `plan` is a project file object (see projectFile.js) so it migrates the same way.
+
+const DB_NAME = 'bathroom-planner';
+const DB_VERSION = 1;
+const STORE = 'projects';
+const THUMBNAIL_WIDTH = 240;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser does not support saving projects.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('modifiedAt', 'modifiedAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null; // allow a retry after a transient failure
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs a single request against the projects store and resolves with its result
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = run(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// All projects, most recently modified first
+export async function listProjects() {
+  const projects = await withStore('readonly', (store) => store.getAll());
+  return projects.sort((a, b) => (b.modifiedAt || '').localeCompare(a.modifiedAt || ''));
+}
+
+export function getProject(id) {
+  return withStore('readonly', (store) => store.get(id));
+}
+
+export async function saveProject(record) {
+  const saved = { ...record, modifiedAt: new Date().toISOString() };
+  await withStore('readwrite', (store) => store.put(saved));
+  return saved;
+}
+
+// Merges changes into an existing project, e.g. a new plan or name
+export async function updateProject(id, changes) {
+  const existing = await getProject(id);
+  if (!existing) throw new Error('That project no longer exists.');
+  return saveProject({ ...existing, ...changes, id });
+}
+
+export function deleteProject(id) {
+  return withStore('readwrite', (store) => store.delete(id));
+}
+
+export async function duplicateProject(id) {
+  const original = await getProject(id);
+  if (!original) throw new Error('That project no longer exists.');
+  const now = new Date().toISOString();
+  return saveProject({
+    ...original,
+    id: crypto.randomUUID(),
+    name: `${original.name} (copy)`,
+    createdAt: now,
+    plan: { ...original.plan, metadata: { ...original.plan?.metadata, name: `${original.name} (copy)`, createdAt: now } },
+  });
+}
+
+// Scales a stage capture down to a small JPEG for the project list
+export function createThumbnail(imageData) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => {
+      const scale = Math.min(1, THUMBNAIL_WIDTH / image.width);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.8));
+    };
+    image.onerror = () => resolve(null);
+    image.src = imageData.dataURL;
+  });
+}
@@ -0,0 +1,82 @@
+// Shareable links - the plan is deflated into the URL hash (#plan=...) so no server is needed
+
+import { createProjectFile, readProject, ProjectFileError } from './projectFile';
+
+const HASH_KEY = 'plan';
+// Longer links get truncated by email clients and messaging apps
+export const MAX_SHARE_URL_LENGTH = 8000;
+
+export class ShareLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareLinkError';
+  }
+}
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const getEncodedPlan = (hash) => new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+
+export function hasSharedPlan(hash = window.location.hash) {
+  return Boolean(getEncodedPlan(hash));
+}
+
+export async function createShareUrl({ items, isRoomLocked, metadata }) {
+  if (typeof CompressionStream === 'undefined') {
+    throw new ShareLinkError('This browser cannot create share links. Please download a project file instead.');
+  }
+  const project = createProjectFile({ items, isRoomLocked, metadata: { name: metadata?.name } });
+  const compressed = await pipeThrough(new TextEncoder().encode(JSON.stringify(project)), new CompressionStream('deflate-raw'));
+  const url = `${window.location.origin}${window.location.pathname}#${HASH_KEY}=${toBase64Url(compressed)}`;
+
+  if (url.length > MAX_SHARE_URL_LENGTH) {
+    throw new ShareLinkError(
+      `This plan is too large to share as a link (${url.length.toLocaleString()} characters, the limit is ` +
+      `${MAX_SHARE_URL_LENGTH.toLocaleString()}). Please download a project file and send that instead.`
+    );
+  }
+  return url;
+}
+
+// Decodes the plan in the hash into { items, isRoomLocked, metadata }
+export async function readSharedPlan(hash = window.location.hash) {
+  const encoded = getEncodedPlan(hash);
+  if (!encoded) throw new ShareLinkError('This link does not contain a plan.');
+  if (typeof DecompressionStream === 'undefined') {
+    throw new ShareLinkError('This browser cannot open share links. Please ask for a project file instead.');
+  }
+
+  let text;
+  try {
+    const bytes = await pipeThrough(fromBase64Url(encoded), new DecompressionStream('deflate-raw'));
+    text = new TextDecoder().decode(bytes);
+  } catch {
+    throw new ShareLinkError('This share link is incomplete or damaged - it may have been cut short when copied.');
+  }
+
+  try {
+    return readProject(JSON.parse(text));
+  } catch (error) {
+    if (error instanceof ProjectFileError) throw new ShareLinkError(`This share link could not be opened. ${error.message}`);
+    throw new ShareLinkError('This share link is incomplete or damaged - it may have been cut short when copied.');
+  }
+}
+
+// Drops the plan from the address bar once loaded, so later edits don't look like the shared version
+export function clearSharedPlanHash() {
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+}
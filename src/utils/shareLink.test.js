@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createShareUrl, readSharedPlan, hasSharedPlan, ShareLinkError, MAX_SHARE_URL_LENGTH } from './shareLink';
+
+const items = [
+  { id: 'room', type: 'room-square', label: 'Room', x: 100, y: 100, width: 500, height: 400, rotation: 0, wallThickness: 50 },
+  { id: 'wc', type: 'toilet', label: 'Toilet', x: 150, y: 120, width: 65, height: 85, rotation: 180, clearanceWidth: 300, clearanceDepth: 400 },
+];
+
+const hashOf = (url) => url.slice(url.indexOf('#'));
+
+beforeEach(() => {
+  vi.stubGlobal('window', { location: { origin: 'https://planner.example', pathname: '/app/', hash: '' } });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('share links', () => {
+  it('round-trips the plan through the URL hash', async () => {
+    const url = await createShareUrl({ items, isRoomLocked: true, metadata: { name: 'Smith ensuite' } });
+    expect(url.startsWith('https://planner.example/app/#plan=')).toBe(true);
+    expect(hasSharedPlan(hashOf(url))).toBe(true);
+
+    const plan = await readSharedPlan(hashOf(url));
+    expect(plan.items).toEqual(items);
+    expect(plan.isRoomLocked).toBe(true);
+    expect(plan.metadata.name).toBe('Smith ensuite');
+  });
+
+  it('keeps the link URL-safe', async () => {
+    const url = await createShareUrl({ items, isRoomLocked: false, metadata: {} });
+    expect(hashOf(url)).toMatch(/^#plan=[A-Za-z0-9_-]+$/);
+  });
+
+  it('only counts hashes that carry a plan', () => {
+    expect(hasSharedPlan('')).toBe(false);
+    expect(hasSharedPlan('#view=1')).toBe(false);
+    expect(hasSharedPlan('#plan=abc')).toBe(true);
+  });
+
+  it('reports a link cut short when copied', async () => {
+    const url = await createShareUrl({ items, isRoomLocked: false, metadata: {} });
+    const truncated = hashOf(url).slice(0, -20);
+    await expect(readSharedPlan(truncated)).rejects.toThrow(ShareLinkError);
+    await expect(readSharedPlan(truncated)).rejects.toThrow(/incomplete or damaged/);
+  });
+
+  it('refuses a hash without a plan', async () => {
+    await expect(readSharedPlan('#other=1')).rejects.toThrow(/does not contain a plan/);
+  });
+
+  it('refuses plans too large for a link', async () => {
+    // Scrambled labels so the plan doesn't compress away
+    const many = Array.from({ length: 400 }, (_, i) => ({
+      id: `item-${i}`,
+      type: 'cupboard',
+      label: ((i * 2654435761) % 4294967296).toString(36),
+      x: i * 3.7,
+      y: i * 1.3,
+      width: 80,
+      height: 60,
+      rotation: 0,
+    }));
+    await expect(createShareUrl({ items: many, isRoomLocked: false, metadata: {} }))
+      .rejects.toThrow(`the limit is ${MAX_SHARE_URL_LENGTH.toLocaleString()}`);
+  });
+});
@@ -0,0 +1,96 @@
+// Builds the SVG export: the plan from the items (see planDrawing.js) with the room, fixtures, dimensions and
+// annotations in their own named groups, for CAD and the website. User units are real-world millimetres, and
+// it covers the same area as the canvas image (getExportBounds).
+
+import { PIXELS_PER_MM } from './units';
+import { getExportBounds } from './geometry';
+import { getPlanDrawing, getUprightAngle, PLAN_LAYERS, PEN_WEIGHTS } from './planDrawing';
+
+// Pen weights, dashes and text sizes are drawn as they'd print at 1:20
+const DRAWING_SCALE = 20;
+const MM_PER_PT = 25.4 / 72;
+
+// Canvas px to mm, to a tenth of a millimetre
+const toMm = (px) => Math.round((px / PIXELS_PER_MM) * 10) / 10;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toColor = (color) => (color ? `rgb(${color.join(',')})` : 'none');
+
+const renderPath = ({ points, closed, stroke, fill, pen, dash }) => {
+  const coords = points.map(toMm);
+  let d = `M${coords[0]} ${coords[1]}`;
+  for (let i = 2; i < coords.length; i += 2) d += ` L${coords[i]} ${coords[i + 1]}`;
+  if (closed) d += ' Z';
+  const attributes = [`d="${d}"`, `fill="${toColor(fill)}"`, `stroke="${toColor(stroke)}"`];
+  if (stroke) {
+    attributes.push(`stroke-width="${PEN_WEIGHTS[pen] * DRAWING_SCALE}"`, 'stroke-linejoin="round"');
+    if (dash) attributes.push(`stroke-dasharray="${dash.map((length) => length * DRAWING_SCALE).join(' ')}"`);
+  }
+  return `<path ${attributes.join(' ')}/>`;
+};
+
+const renderText = ({ text, x, y, rotation, size, color, bold }) => {
+  const cx = toMm(x);
+  const cy = toMm(y);
+  const angle = getUprightAngle(rotation);
+  const attributes = [
+    `x="${cx}"`,
+    `y="${cy}"`,
+    `font-size="${Math.round(size * MM_PER_PT * DRAWING_SCALE * 10) / 10}"`,
+    `font-weight="${bold ? 'bold' : 'normal'}"`,
+    `fill="${toColor(color)}"`,
+    'text-anchor="middle"',
+    'dominant-baseline="central"',
+  ];
+  if (angle) attributes.push(`transform="rotate(${angle} ${cx} ${cy})"`);
+  return `<text ${attributes.join(' ')}>${escapeXml(text)}</text>`;
+};
+
+// Returns the SVG document as text, or null for an empty plan
+export function createPlanSvg({ items, title = 'Bathroom Layout Plan' }) {
+  const area = getExportBounds(items);
+  if (!area) return null;
+
+  const drawing = getPlanDrawing(items);
+  // One group per layer, with a group per item inside it so each piece can be picked out by id and type
+  const layers = PLAN_LAYERS.map(({ id, label }) => {
+    const groups = drawing.flatMap(({ item, primitives }) => {
+      const shapes = primitives.filter((primitive) => primitive.layer === id);
+      if (!shapes.length) return [];
+      const content = shapes.map((shape) => (shape.kind === 'text' ? renderText(shape) : renderPath(shape)));
+      return [`    <g data-item-id="${escapeXml(item.id)}" data-type="${escapeXml(item.type)}">\n      ${content.join('\n      ')}\n    </g>`];
+    });
+    return `  <g id="${id}" inkscape:groupmode="layer" inkscape:label="${label}">\n${groups.join('\n')}\n  </g>`;
+  });
+
+  const width = toMm(area.width);
+  const height = toMm(area.height);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"',
+    `  width="${width}mm" height="${height}mm" viewBox="${toMm(area.x)} ${toMm(area.y)} ${width} ${height}"`,
+    '  font-family="Helvetica, Arial, sans-serif">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <rect id="background" x="${toMm(area.x)}" y="${toMm(area.y)}" width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...layers,
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+export function downloadPlanSvg(svg, filename) {
+  const blob = new Blob([svg], { type: 'image/svg+xml' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { createPlanSvg } from './svgExport';
+import { getPlanDrawing, getUprightAngle } from './planDrawing';
+
+// 3400 × 2000 mm inside 100 mm walls
+const room = { id: 'room', type: 'room-square', label: 'Room', x: 100, y: 100, width: 1700, height: 1000, rotation: 0, wallThickness: 50 };
+const bath = { id: 'bath', type: 'bath', label: 'Bath', x: 100, y: 100, width: 850, height: 350, rotation: 0 };
+const rail = { id: 'rail', type: 'towel-rail', label: 'Rail', x: 1200, y: 100, width: 250, height: 60, rotation: 0 };
+const light = { id: 'light', type: 'light', label: 'Light', x: 400, y: 200, width: 100, height: 100, rotation: 0 };
+
+// The elements inside one layer's group
+const layerOf = (svg, id) => svg.slice(svg.indexOf(`<g id="${id}"`), svg.indexOf('\n  </g>', svg.indexOf(`<g id="${id}"`)));
+
+describe('createPlanSvg', () => {
+  const svg = createPlanSvg({ items: [light, room, bath, rail] });
+
+  it('is sized in real-world millimetres over the export area', () => {
+    // 3600 × 2200 mm over the walls plus 80 mm of padding all round
+    expect(svg).toContain('width="3760mm" height="2360mm" viewBox="20 20 3760 2360"');
+  });
+
+  it('puts each part of the plan in its own named layer', () => {
+    ['room', 'fixtures', 'dimensions', 'annotations'].forEach((id) => {
+      expect(svg).toContain(`<g id="${id}" inkscape:groupmode="layer"`);
+    });
+    expect(layerOf(svg, 'room')).toContain('data-item-id="room"');
+    expect(layerOf(svg, 'fixtures')).toContain('data-item-id="bath" data-type="bath"');
+    expect(layerOf(svg, 'annotations')).toContain('>TOWEL RAIL</text>');
+  });
+
+  it('draws ceiling lights over the fixtures below them', () => {
+    const fixtures = layerOf(svg, 'fixtures');
+    expect(fixtures.indexOf('data-item-id="light"')).toBeGreaterThan(fixtures.indexOf('data-item-id="bath"'));
+  });
+
+  it('escapes text', () => {
+    expect(createPlanSvg({ items: [room], title: 'Smith & Sons <ensuite>' })).toContain('<title>Smith &amp; Sons &lt;ensuite&gt;</title>');
+  });
+
+  it('has nothing to export for an empty plan', () => {
+    expect(createPlanSvg({ items: [] })).toBeNull();
+  });
+});
+
+describe('plan drawing', () => {
+  it('draws rooms, then fixtures, then what hangs above them', () => {
+    expect(getPlanDrawing([light, rail, room]).map(({ item }) => item.id)).toEqual(['room', 'rail', 'light']);
+  });
+
+  it('keeps text turned with its item the right way up', () => {
+    expect(getUprightAngle(0)).toBe(0);
+    expect(getUprightAngle(90)).toBe(90);
+    expect(getUprightAngle(180)).toBe(0);
+    expect(getUprightAngle(200)).toBe(20);
+  });
+});
@@ -0,0 +1,30 @@
+// Starter layouts, loaded from public/templates.json so new ones can be added without a code change.
+// Each template's `plan` is a project file (see projectFile.js) - a downloaded .bathplan.json can be pasted in.
+
+import { readProject } from './projectFile';
+
+const MANIFEST_URL = `${import.meta.env.BASE_URL}templates.json`;
+
+// Resolves to [{ id, name, description, size, plan: { items, isRoomLocked, metadata } }]
+export async function loadTemplates() {
+  const response = await fetch(MANIFEST_URL);
+  if (!response.ok) throw new Error(`Could not load templates (HTTP ${response.status}).`);
+  const manifest = await response.json();
+  if (!Array.isArray(manifest?.templates)) throw new Error('The template manifest has no "templates" list.');
+
+  return manifest.templates.flatMap((template) => {
+    try {
+      return [{
+        id: template.id,
+        name: template.name || template.id,
+        description: template.description || '',
+        size: template.size || '',
+        plan: readProject(template.plan),
+      }];
+    } catch (error) {
+      // A broken entry shouldn't hide the rest of the gallery
+      console.warn(`[Templates] Skipping "${template?.id}":`, error.message, error.problems || '');
+      return [];
+    }
+  });
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { loadTemplates } from './templates';
+
+const manifest = JSON.parse(readFileSync(new URL('../../public/templates.json', import.meta.url), 'utf8'));
+
+const stubManifest = (body, ok = true, status = 200) => {
+  vi.stubGlobal('fetch', vi.fn(async () => ({ ok, status, json: async () => body })));
+};
+
+const plan = (items) => ({ format: 'bathplan', version: 1, units: { length: 'mm' }, items });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('loadTemplates', () => {
+  it('loads every template shipped in public/templates.json', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    stubManifest(manifest);
+    const templates = await loadTemplates();
+    expect(templates.map((template) => template.id)).toEqual(manifest.templates.map((template) => template.id));
+    expect(warn).not.toHaveBeenCalled();
+    templates.forEach((template) => {
+      expect(template.name).toBeTruthy();
+      expect(template.plan.items.length).toBeGreaterThan(0);
+    });
+  });
+
+  it('converts millimetre plans to canvas units', async () => {
+    stubManifest({ templates: [{ id: 'small', plan: plan([{ id: 'room', type: 'room-square', x: 200, y: 200, width: 1000, height: 800 }]) }] });
+    const [template] = await loadTemplates();
+    expect(template).toMatchObject({ id: 'small', name: 'small', description: '', size: '' });
+    expect(template.plan.items[0]).toMatchObject({ x: 100, y: 100, width: 500, height: 400, rotation: 0 });
+  });
+
+  it('skips broken entries and keeps the rest', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    stubManifest({
+      templates: [
+        { id: 'broken', plan: plan([{ id: 'room', type: 'room-square', x: 0, y: 0, width: -1, height: 800 }]) },
+        { id: 'good', name: 'Good', plan: plan([{ id: 'room', type: 'room-square', x: 0, y: 0, width: 1000, height: 800 }]) },
+      ],
+    });
+    const templates = await loadTemplates();
+    expect(templates.map((template) => template.id)).toEqual(['good']);
+    expect(warn).toHaveBeenCalledWith('[Templates] Skipping "broken":', expect.any(String), expect.any(Array));
+  });
+
+  it('rejects a manifest it cannot use', async () => {
+    stubManifest({}, false, 404);
+    await expect(loadTemplates()).rejects.toThrow('Could not load templates (HTTP 404).');
+    stubManifest({ items: [] });
+    await expect(loadTemplates()).rejects.toThrow(/no "templates" list/);
+  });
+});
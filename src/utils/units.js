@@ -0,0 +1,5 @@
+// Canvas scale - item geometry is stored in canvas pixels at this many pixels per millimetre
+export const PIXELS_PER_MM = 0.5;
+
+export const pxToMm = (px) => Math.round(px / PIXELS_PER_MM);
+export const mmToPx = (mm) => mm * PIXELS_PER_MM;